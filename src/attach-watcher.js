@@ -0,0 +1,154 @@
+'use strict';
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+/**
+ * Maps the event types of the gaze based watcher of gulp 3 to the chokidar events of gulp 4.
+ * @type {Object<string, string>}
+ */
+const GAZE_EVENTS = {
+    added: 'add',
+    changed: 'change',
+    deleted: 'unlink',
+};
+
+/**
+ * Runs a gulp-like task and invokes a callback once it is done.
+ * Tasks may accept a callback, return a promise, return a stream or start the tasks of gulp 3. (`gulp.start()`)
+ *
+ * @param task {Function} The task.
+ * @param done {Function} Invoked when the task has finished (or failed). (func (error))
+ * @returns {void}
+ */
+function runTask(task, done) {
+    let finished = false;
+    let finish = error => {
+        if (!finished) {
+            finished = true;
+            done(error);
+        }
+    };
+
+    let result;
+    try {
+        result = task(finish);
+    } catch (e) {
+        return finish(e);
+    }
+
+    if (result && typeof result.then === 'function') {
+        result.then(() => finish(), finish);
+    } else if (result && typeof result.on === 'function' && !finished) {
+        // Streams end (or finish). The orchestrator of gulp 3 (`gulp.start()`) stops instead and is reused by every run.
+        let listeners = {
+            end: () => finish(),
+            finish: () => finish(),
+            stop: () => finish(),
+            error: finish,
+            err: event => finish(event && event.err ? event.err : event),
+        };
+        let events = Object.keys(listeners);
+        events.forEach(event => result.on(event, listeners[event]));
+
+        let notify = done;
+        done = error => {
+            events.forEach(event => result.removeListener(event, listeners[event]));
+            notify(error);
+        };
+    } else if (task.length === 0) {
+        finish();
+    }
+}
+
+/**
+ * Subscribes a dependency tracker to the events of a file watcher (chokidar/gulp 4 or gaze/gulp 3).
+ * * `change` marks the file and its dependents for recompilation.
+ * * `unlink` removes the file from the tracking.
+ * * `add` marks the file for recompilation and resolves imports (or globs) which have been waiting for it.
+ * Bursts of events (e.g. a branch switch) are debounced into a single task run.
+ *
+ * @param tracker {DependencyTracker} The tracker to notify.
+ * @param watcher {EventEmitter} The watcher.
+ * @param options {{task: (Function|null), delay: number, sassOptions: Object}}
+ * @returns {EventEmitter} The watcher.
+ */
+function attachWatcher(tracker, watcher, options = {}) {
+    const task = options.task || null;
+    const delay = options.delay !== undefined ? options.delay : 100;
+    const sassOptions = options.sassOptions || {};
+
+    let timer = null;
+    let running = false;
+    let rerun = false;
+
+    const schedule = () => {
+        if (task === null) {
+            return;
+        }
+        if (timer !== null) {
+            clearTimeout(timer);
+        }
+        timer = setTimeout(run, delay);
+    };
+
+    const run = () => {
+        timer = null;
+        if (running) {
+            rerun = true;
+            return;
+        }
+
+        running = true;
+        runTask(task, error => {
+            running = false;
+            if (error) {
+                tracker.getLogger().error(`Watch task failed: ${error.message || error}`, {
+                    event: 'watch-task-failed',
+                    reason: error.message || String(error),
+                });
+            }
+            if (rerun) {
+                rerun = false;
+                schedule();
+            }
+        });
+    };
+
+    const handle = (type, file) => {
+        let filePath = path.normalize(path.resolve(typeof file === 'string' ? file : file.path));
+
+        tracker.getLogger().debug(`Watcher event "${type}": ${filePath}`, {event: 'watch-event', type, file: filePath});
+
+        if (type === 'unlink') {
+            tracker.removeFile(filePath);
+        } else if (type === 'add') {
+            tracker.expandGlobDependencies(filePath);
+            tracker.queueRebuild(filePath, 'added');
+            tracker.retryUnresolved(sassOptions);
+        } else {
+            tracker.queueRebuild(filePath);
+        }
+        schedule();
+    };
+
+    watcher.on('add', file => handle('add', file));
+    watcher.on('unlink', file => handle('unlink', file));
+    watcher.on('change', file => {
+        // gulp 3 reports all kinds of events as "change" with an event object.
+        if (file && typeof file === 'object' && typeof file.type === 'string') {
+            if (file.type === 'renamed' && file.old) {
+                handle('unlink', file.old);
+                handle('add', file.path);
+            } else {
+                handle(GAZE_EVENTS[file.type] || 'change', file.path);
+            }
+            return;
+        }
+        handle('change', file);
+    });
+
+    return watcher;
+}
+
+module.exports = attachWatcher;
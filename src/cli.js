@@ -0,0 +1,227 @@
+'use strict';
+
+// General utilities
+const posixPath = require('path').posix;
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+const DependencyTracker = require('./dependency-tracker');
+const {FORMATS} = require('./graph-export');
+
+/**
+ * The exit codes of the command line interface.
+ * @type {Object<string, number>}
+ */
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    unresolved: 2,
+    cycles: 3,
+};
+
+const USAGE = `Usage: sass-deps <command> [arguments] [options]
+
+Commands:
+  deps <file>                 Lists the files <file> depends on.
+  dependents <file>           Lists the files depending on <file>.
+  affected <changed files...> Lists the entrypoints to rebuild when the files have changed.
+  unresolved                  Lists the imports that cannot be resolved. (Exits with ${EXIT_CODES.unresolved} if there are any)
+  graph [<file>]              Exports the (sub)graph. (See --format and --dependents)
+
+Options:
+  -g, --glob <pattern>        Files or directories to scan. May be repeated. (Default: **/*.{scss,sass})
+  -I, --load-path <path>      Load path to resolve imports with. May be repeated. (SASS_PATH is honored as well)
+  --deep                      Includes transitive dependencies/dependents.
+  --entrypoints <glob>        Entrypoints for "affected". May be repeated. (Default: files not starting with "_")
+  --format <format>           Format for "graph": ${FORMATS.join(', ')}. (Default: json)
+  --dependents                Roots the "graph" subgraph at the files depending on <file>.
+  --fail-on-unresolved        Exits with ${EXIT_CODES.unresolved} when imports cannot be resolved.
+  --fail-on-cycles            Exits with ${EXIT_CODES.cycles} when there are circular imports.
+  -h, --help                  Shows this help.`;
+
+/**
+ * The commands with the minimum and maximum number of files they expect.
+ * @type {Object<string, Array<number>>}
+ */
+const COMMANDS = {
+    deps: [1, 1],
+    dependents: [1, 1],
+    affected: [0, Infinity],
+    unresolved: [0, 0],
+    graph: [0, 1], // The optional root
+};
+
+/**
+ * Maps the short options to their long names.
+ * @type {Object<string, string>}
+ */
+const ALIASES = {
+    '-g': '--glob',
+    '-I': '--load-path',
+    '-h': '--help',
+};
+
+/**
+ * Options that take a value. They may be repeated to pass multiple values.
+ * @type {string[]}
+ */
+const VALUE_OPTIONS = ['--glob', '--load-path', '--entrypoints', '--format'];
+
+/**
+ * Options that are switched on by their presence.
+ * @type {string[]}
+ */
+const FLAG_OPTIONS = ['--deep', '--dependents', '--fail-on-unresolved', '--fail-on-cycles', '--help'];
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param argv {Array<string>} The arguments without the node executable and the script.
+ * @return {{command: (string|null), args: Array<string>, options: Object}}
+ * @throws {Error} On unknown options or missing values.
+ */
+function parseArguments(argv) {
+    let positional = [];
+    let options = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        let value = null;
+        if (argument.startsWith('--') && argument.includes('=')) {
+            value = argument.substr(argument.indexOf('=') + 1);
+            argument = argument.substr(0, argument.indexOf('='));
+        }
+        argument = ALIASES[argument] || argument;
+
+        if (VALUE_OPTIONS.includes(argument)) {
+            if (value === null) {
+                value = argv[++index];
+            }
+            if (value === undefined) {
+                throw new Error(`Missing value for ${argument}`);
+            }
+            options[argument] = (options[argument] || []).concat([value]);
+
+        } else if (FLAG_OPTIONS.includes(argument)) {
+            options[argument] = true;
+
+        } else if (argument.startsWith('-') && argument !== '-') {
+            throw new Error(`Unknown option: ${argument}`);
+
+        } else {
+            positional.push(argument);
+        }
+    }
+
+    return {command: positional.length > 0 ? positional[0] : null, args: positional.slice(1), options};
+}
+
+/**
+ * Finds the entrypoints that have to be rebuilt when files have changed: The changed files and their dependents.
+ *
+ * @param tracker {DependencyTracker}
+ * @param changedFiles {Array<string>} Paths of the changed files.
+ * @param entrypoints {boolean|string|Array<string>} See {@link DependencyTracker#isEntrypoint}.
+ * @return {Array<string>} Normalized absolute paths of the entrypoints.
+ */
+function findAffectedEntrypoints(tracker, changedFiles, entrypoints) {
+    let affected = [];
+    for (let changedFile of changedFiles) {
+        let changedPath = path.normalize(path.resolve(changedFile));
+        for (let candidate of [changedPath].concat(tracker.getTree().getDependents(changedPath, true))) {
+            if (!affected.includes(candidate) && tracker.isEntrypoint(candidate, entrypoints)) {
+                affected.push(candidate);
+            }
+        }
+    }
+    return affected;
+}
+
+/**
+ * Runs the command line interface.
+ *
+ * @param argv {Array<string>} The arguments without the node executable and the script.
+ * @param io {{stdout: {write: Function}, stderr: {write: Function}}} Where to print to.
+ * @return {Promise<number>} The exit code. (See {@link EXIT_CODES})
+ */
+function run(argv, io = {stdout: process.stdout, stderr: process.stderr}) {
+    const print = lines => lines.forEach(line => io.stdout.write(`${line}\n`));
+    const fail = message => {
+        io.stderr.write(`${message}\n`);
+        return Promise.resolve(EXIT_CODES.error);
+    };
+
+    let parsed;
+    try {
+        parsed = parseArguments(argv);
+    } catch (e) {
+        return fail(`${e.message}\n\n${USAGE}`);
+    }
+
+    let {command, args, options} = parsed;
+    if (options['--help'] || command === null) {
+        print([USAGE]);
+        return Promise.resolve(command === null && !options['--help'] ? EXIT_CODES.error : EXIT_CODES.success);
+    }
+
+    if (!COMMANDS.hasOwnProperty(command)) {
+        return fail(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+    let [minFiles, maxFiles] = COMMANDS[command];
+    if (args.length < minFiles || args.length > maxFiles) {
+        let expectation = minFiles === maxFiles ? (maxFiles === 1 ? 'exactly one file' : 'no files') : 'at most one file';
+        return fail(`The "${command}" command expects ${expectation}.`);
+    }
+
+    let format = (options['--format'] || ['json']).slice(-1)[0];
+    if (!FORMATS.includes(format)) {
+        return fail(`Unknown graph format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    let cwd = path.normalize(process.cwd());
+    let relative = filePath => posixPath.relative(cwd, filePath);
+    let tracker = new DependencyTracker({suppressOutput: true});
+    let sassOptions = {loadPaths: options['--load-path'] || []};
+
+    return tracker.scan(options['--glob'] || ['**/*.{scss,sass}'], sassOptions).then(() => {
+        let tree = tracker.getTree();
+        let unresolved = tree.getUnresolved();
+
+        if (command === 'graph') {
+            print([tree.exportGraph({
+                format,
+                root: args.length > 0 ? args[0] : null,
+                direction: options['--dependents'] ? 'dependents' : 'dependencies',
+                basePath: cwd,
+            })]);
+        } else if (command === 'unresolved') {
+            print(unresolved.map(record => {
+                let location = record.line !== undefined && record.line !== null ? `:${record.line}:${record.column}` : '';
+                return `${relative(record.file)}${location}: ${record.url}`;
+            }));
+        } else if (command === 'affected') {
+            print(findAffectedEntrypoints(tracker, args, options['--entrypoints'] || true).map(relative).sort());
+        } else {
+            let deep = options['--deep'] === true;
+            print((command === 'deps' ? tree.getDependencies(args[0], deep) : tree.getDependents(args[0], deep)).map(relative).sort());
+        }
+
+        if (unresolved.length > 0 && (command === 'unresolved' || options['--fail-on-unresolved'])) {
+            return EXIT_CODES.unresolved;
+        }
+        let cycles = options['--fail-on-cycles'] ? tree.findCycles() : [];
+        if (cycles.length > 0) {
+            cycles.forEach(cycle => io.stderr.write(`Circular import: ${cycle.map(relative).join(' -> ')}\n`));
+            return EXIT_CODES.cycles;
+        }
+        return EXIT_CODES.success;
+
+    }).catch(e => fail(e.message));
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArguments,
+    run,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+// General utilities
+const {URL} = require('url');
+
+const path = require('./path-ponyfill');
+const resolveSassImport = require('./resolve-sass-import');
+
+/**
+ * Whether or not a value is a promise-like object.
+ *
+ * @param value {*}
+ * @return {boolean}
+ */
+function isThenable(value) {
+    return value !== null && value !== undefined && typeof value.then === 'function';
+}
+
+/**
+ * Invokes a callback with a value, waiting for it first if it is a promise.
+ *
+ * @param value {*|Promise<*>}
+ * @param callback {Function} (func (value))
+ * @return {*|Promise<*>} The return value of the callback. (A promise if the value has been one)
+ */
+function whenResolved(value, callback) {
+    return isThenable(value) ? value.then(callback) : callback(value);
+}
+
+/**
+ * Converts a `file:` url to a normalized path.
+ *
+ * @param fileUrl {URL|string}
+ * @return {string|null} The path or null if the url does not point to a file.
+ */
+function fileUrlToPath(fileUrl) {
+    let parsed = new URL(String(fileUrl));
+    if (parsed.protocol !== 'file:') {
+        return null;
+    }
+
+    let filePath = decodeURIComponent(parsed.pathname);
+    // Windows drive letters: file:///C:/...
+    return path.normalize(/^\/[A-Za-z]:/.test(filePath) ? filePath.substr(1) : filePath);
+}
+
+/**
+ * Resolves a path returned by an importer with the sass lookup algorithm. (partials, extensions, index files)
+ *
+ * @param filePath {string} The path. Relative paths are resolved against the context.
+ * @param contextPath {string} Normalized absolute path of the importing directory.
+ * @param rule {string} The rule importing the path.
+ * @return {string}
+ * @throws {Error} When there is no such file.
+ */
+function resolveImporterPath(filePath, contextPath, rule) {
+    let absolutePath = path.normalize(path.isAbsolute(filePath) ? filePath : path.join(contextPath, filePath));
+    let directory = path.dirname(absolutePath);
+    let found = resolveSassImport.resolveInDirectory(absolutePath.substr(directory.length + 1), directory, rule);
+
+    if (found === null) {
+        throw new Error(`The importer pointed to "${filePath}" which does not exist`);
+    }
+    return found;
+}
+
+/**
+ * Calls a legacy importer (`function (url, prev, done)`) which may return its result or pass it to `done`.
+ *
+ * @param importer {Function}
+ * @param url {string}
+ * @param prev {string} Path of the importing file.
+ * @param context {Object} The `this` of the importer.
+ * @return {*|Promise<*>} The result of the importer.
+ */
+function callLegacyImporter(importer, url, prev, context) {
+    let done = null;
+    let pending = new Promise(resolve => done = resolve);
+    let result = importer.call(context, url, prev, done);
+
+    return result === undefined && importer.length >= 3 ? pending : result;
+}
+
+/**
+ * Handles the result of a legacy importer.
+ *
+ * @param result {Object|Error|null} `{file}`, `{contents}`, an error or null to pass the import on.
+ * @param contextPath {string} Normalized absolute path of the importing directory.
+ * @param rule {string} The rule importing the url.
+ * @return {{file: (string|null)}|null}
+ */
+function handleLegacyResult(result, contextPath, rule) {
+    if (result instanceof Error) {
+        throw result;
+    } else if (result === null || result === undefined || typeof result !== 'object') {
+        return null;
+    } else if (typeof result.file === 'string') {
+        return {file: resolveImporterPath(result.file, contextPath, rule)};
+    } else if (result.contents !== undefined) {
+        // Generated contents do not belong to any file that could be tracked.
+        return {file: null};
+    }
+    return null;
+}
+
+/**
+ * Handles the url returned by a modern importer.
+ *
+ * @param importer {Object} `{canonicalize, load}` or `{findFileUrl}`.
+ * @param resultUrl {URL|string|null} The canonical url or the file url.
+ * @param rule {string} The rule importing the url.
+ * @return {{file: (string|null)}|null}
+ */
+function handleModernResult(importer, resultUrl, rule) {
+    if (resultUrl === null || resultUrl === undefined) {
+        return null;
+    }
+
+    let filePath = fileUrlToPath(resultUrl);
+    if (filePath === null) {
+        // Non-file urls are loaded by the importer itself.
+        return {file: null};
+    }
+
+    // Urls of `findFileUrl` are resolved with the standard logic while canonical urls are exact.
+    return {file: typeof importer.findFileUrl === 'function' ? resolveImporterPath(filePath, path.dirname(filePath), rule) : filePath};
+}
+
+/**
+ * Resolves an import through the custom importers of the sass options:
+ * * `importer` - Legacy importer function(s) `function (url, prev, done)`.
+ * * `importers` - Modern importer objects with `canonicalize(url, context)` and `load` or with `findFileUrl(url, context)`.
+ * Importers are tried in order until one handles the import.
+ *
+ * @param url {string} The url of the import.
+ * @param prev {string} Normalized absolute path of the importing file.
+ * @param sassOptions {Object} The sass options.
+ * @param rule {string} The rule importing the url.
+ * @return {{file: (string|null)}|null|Promise<{file: (string|null)}|null>}
+ *         `{file}` if an importer handled the import (`file` is null for contents that are not backed by a file),
+ *         null if no importer handled it. A promise if an importer is asynchronous.
+ * @throws {Error} When an importer fails or points to a file that does not exist.
+ */
+function resolveWithImporters(url, prev, sassOptions, rule = 'import') {
+    let legacyImporters = [].concat(sassOptions.importer || []);
+    let modernImporters = [].concat(sassOptions.importers || []);
+    let contextPath = path.dirname(prev);
+    let containingUrl = new URL(`file://${prev.startsWith('/') ? '' : '/'}${encodeURI(prev).replace(/[?#]/g, encodeURIComponent)}`);
+
+    let attempts = legacyImporters.map(importer => () => whenResolved(
+        callLegacyImporter(importer, url, prev, {options: sassOptions, fromImport: rule === 'import'}),
+        result => handleLegacyResult(result, contextPath, rule)
+    )).concat(modernImporters.map(importer => () => {
+        let context = {fromImport: rule === 'import', containingUrl};
+        let resolver = typeof importer.findFileUrl === 'function' ? importer.findFileUrl : importer.canonicalize;
+        if (typeof resolver !== 'function') {
+            throw new Error('Importers need a canonicalize or findFileUrl function');
+        }
+        return whenResolved(resolver.call(importer, url, context), resultUrl => handleModernResult(importer, resultUrl, rule));
+    }));
+
+    let attempt = index => {
+        if (index >= attempts.length) {
+            return null;
+        }
+        return whenResolved(attempts[index](), handled => handled !== null ? handled : attempt(index + 1));
+    };
+    return attempt(0);
+}
+
+module.exports = {
+    isThenable,
+    whenResolved,
+    fileUrlToPath,
+    resolveWithImporters,
+};
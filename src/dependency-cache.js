@@ -0,0 +1,82 @@
+'use strict';
+
+// General utilities
+const fs = require('fs');
+const logging = require('./logging');
+
+const path = require('./path-ponyfill');
+
+/**
+ * Version of the cache format.
+ * Increase whenever the structure of the cached state changes so old caches are discarded.
+ * @type {number}
+ */
+const CACHE_VERSION = 1;
+
+const packageVersion = require('../package.json').version;
+
+/**
+ * Reads the tree state from a cache file.
+ * Missing, unreadable or mismatching caches are discarded.
+ *
+ * @param cacheFile {string} Path of the cache file.
+ * @param logger {Object} The logger of the module. (See {@link logging.createLogger})
+ * @return {Object|null} The cached state (see {@link SassDependencyTree#exportState}) or null if there is no usable cache.
+ */
+function readCache(cacheFile, logger = logging.createLogger()) {
+    let cachePath = path.normalize(path.resolve(cacheFile));
+    if (!path.exists(cachePath)) {
+        return null;
+    }
+
+    let cache;
+    try {
+        cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch (e) {
+        logger.warn(`Discarding unreadable dependency cache ${cachePath}: ${e.message}`, {
+            event: 'cache-discarded',
+            file: cachePath,
+            reason: e.message,
+        });
+        return null;
+    }
+
+    if (cache === null || typeof cache !== 'object'
+        || cache.version !== CACHE_VERSION
+        || cache.packageVersion !== packageVersion
+        || cache.state === null || typeof cache.state !== 'object'
+        || cache.state.files === null || typeof cache.state.files !== 'object') {
+
+        logger.debug(`Discarding outdated dependency cache: ${cachePath}`, {event: 'cache-discarded', file: cachePath, reason: 'outdated'});
+        return null;
+    }
+
+    return cache.state;
+}
+
+/**
+ * Writes the tree state to a cache file.
+ * The file is replaced atomically so concurrent processes never read a partial cache.
+ *
+ * @param cacheFile {string} Path of the cache file.
+ * @param state {Object} The state to cache. (see {@link SassDependencyTree#exportState})
+ * @return {void}
+ */
+function writeCache(cacheFile, state) {
+    let cachePath = path.normalize(path.resolve(cacheFile));
+    let temporaryPath = `${cachePath}.${process.pid}.tmp`;
+    let cache = {
+        version: CACHE_VERSION,
+        packageVersion,
+        state,
+    };
+
+    fs.writeFileSync(temporaryPath, JSON.stringify(cache));
+    fs.renameSync(temporaryPath, cachePath);
+}
+
+module.exports = {
+    CACHE_VERSION,
+    readCache,
+    writeCache,
+};
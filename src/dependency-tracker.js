@@ -1,32 +1,65 @@
 'use strict';
 
 // General utilities
+const EventEmitter = require('events');
 const logging = require('./logging');
+const fs = require('fs');
+const glob = require('glob');
+const minimatch = require('minimatch');
 
 // Stream utilities
 const map = require('map-stream');
+const {Transform} = require('readable-stream');
 
 // Gulp utilities
 const gIgnore = require('gulp-ignore');
+const Vinyl = require('vinyl');
 
 // Custom functions (exported for readability)
-const resolveImport = require('./resolve-sass-import');
 const inspectStream = require('./inspect-stream');
+const attachWatcher = require('./attach-watcher');
+const {fingerprintFile, isSameFingerprint, hashContents, hashFile} = require('./fingerprint');
+const {readCache, writeCache} = require('./dependency-cache');
+const {isThenable, whenResolved, resolveWithImporters} = require('./custom-importers');
+const {findLoadPathTypos} = require('./load-paths');
+const {resolveAsset, normalizeExtractors} = require('./extractors');
+const {readLoadedFiles} = require('./loaded-files');
+const {ADAPTERS, extensionPattern} = require('./language-adapters');
 
 // Ponyfill for `path`
 const path = require('./path-ponyfill');
+const posixPath = require('path').posix;
 
 const SassDependencyTree = require('./dependency-tree');
 
-const importRegex = /@import ['"]?([\w./-]+)(?:['"];)?/g;
+const _resolveImport = Symbol('internalResolveImport');
+const _detectChange = Symbol('internalDetectChange');
+const _checkCycles = Symbol('internalCheckCycles');
+const _filterEntrypoints = Symbol('internalFilterEntrypoints');
+const _getLoadPaths = Symbol('internalGetLoadPaths');
+const _inspectFiles = Symbol('internalInspectFiles');
+const _inspect = Symbol('internalInspect');
+const _verifyDependencies = Symbol('internalVerifyDependencies');
+const _expandGlobs = Symbol('internalExpandGlobs');
+const _getLanguage = Symbol('internalGetLanguage');
+
+/**
+ * Sass options which have already been checked for misspelled load path options. (To warn only once)
+ * @type {WeakSet<Object>}
+ */
+const checkedSassOptions = new WeakSet();
 
 /**
  * Main class of a helpful module for sass compilation tasks with GulpJS.
  * For the full module documentation please consult the readMe.md file.
  *
+ * Emits the events of its tree (See {@link SassDependencyTree.EVENTS}), `cycle-detected` - `{file, cycle}`
+ * when an inspected import creates a circular dependency and `dependency-mismatch` - `{file, missing, phantom, source}`
+ * when the compiler loaded other files than the tree knows of. (See {@link reportCompiled})
+ *
  * @property sassTree {SassDependencyTree} Manager of the dependency tree. Please use {@link getTree} instead of directly accessing this property so the contract can be upheld!
  */
-class DependencyTracker {
+class DependencyTracker extends EventEmitter {
 
     // --- Private fields --- //
 
@@ -37,10 +70,25 @@ class DependencyTracker {
 
     /**
      * Constructs a new tracker instance.
+     * When a `cacheFile` is configured, the state of the previous run is restored from it.
      */
-    constructor(options = {debug: false, suppressOutput: false, filterNonSass: false}) {
+    constructor(options = {debug: false, suppressOutput: false, filterNonSass: false, cacheFile: null, onCycle: 'ignore'}) {
+        super();
         this.sassTree = new SassDependencyTree(options);
         this.options = options;
+        this.logger = logging.createLogger(options);
+        this.languages = this.sassTree.languages;
+        this.extractors = normalizeExtractors(options.extractors, this.languages
+            .reduce((rules, language) => rules.concat(language.rules), SassDependencyTree.RULES)
+            .filter((rule, index, rules) => rules.indexOf(rule) === index));
+
+        for (let event of SassDependencyTree.EVENTS) {
+            this.sassTree.on(event, payload => this.emit(event, payload));
+        }
+
+        if (this.getCacheFile() !== null) {
+            this.loadCache();
+        }
     }
 
     /**
@@ -48,7 +96,7 @@ class DependencyTracker {
      * @return {boolean}
      */
     isDebug() {
-        return this.options.debug || false;
+        return this.logger.isEnabled('debug');
     }
 
     /**
@@ -56,29 +104,76 @@ class DependencyTracker {
      * @return {boolean}
      */
     isOutputSuppressed() {
-        return this.options.suppressOutput || false;
+        return this.logger.level === 'silent';
+    }
+
+    /**
+     * The logger created from the `logger`, `logLevel` and `logFormat` options.
+     * Messages carry fields like `event`, `file` or `import`. (See the readme for the events)
+     * @return {{level: string, isEnabled: Function, debug: Function, info: Function, warn: Function, error: Function}}
+     */
+    getLogger() {
+        return this.logger;
+    }
+
+    /**
+     * The file the dependency tree is persisted to between runs.
+     * @return {string|null}
+     */
+    getCacheFile() {
+        return this.options.cacheFile || null;
+    }
+
+    /**
+     * What to do when {@link inspect} finds an import that creates a circular dependency.
+     * @return {string} One of `ignore`, `warn` or `error`.
+     */
+    getCycleHandling() {
+        return this.options.onCycle || 'ignore';
     }
 
     /**
-     * Whether or not non-sass files will be removed from the stream by {@link filter}
+     * Whether or not non-sass files (files of none of the tracked `languages`) will be removed from the stream by {@link filter}
      * @return {boolean}
      */
     isNonSassFiltered() {
-        return this.option.filterNonSass || false;
+        return this.options.filterNonSass || false;
     }
 
     /**
      * Filters the stream to only include files that need to be recompiled.
+     * With `detectChanges` enabled, the contents of each file and of its dependencies on disk are compared
+     * to the version seen before. Changed files are marked for recompilation without any watcher involved.
+     * With `entrypoints` enabled, dirty partials are swapped for the entrypoints depending on them.
+     * (See {@link isEntrypoint} for the possible values.) The partials are inspected with the `sassOptions` for that.
      *
+     * @param options {{detectChanges: boolean, entrypoints: (boolean|string|Array<string>), sassOptions: Object}}
      * @returns {stream}
      */
-    filter() {
+    filter(options = {detectChanges: false, entrypoints: false, sassOptions: {}}) {
         const me = this;
+        const checkedFiles = new Set();
         const isSassFile = file => {
-            return file.path.endsWith('.scss') || file.path.endsWith('.sass')
+            return me[_getLanguage](file.path) !== null;
         };
+        const detectChanges = file => {
+            if (options.detectChanges && isSassFile(file)) {
+                me[_detectChange](path.normalize(file.path), file.isBuffer() ? file.contents : null, checkedFiles);
+
+                // Dependencies may not be in the stream or come after this file.
+                for (let dependency of me.getTree().getDependencies(file, true)) {
+                    me[_detectChange](dependency, null, checkedFiles);
+                }
+            }
+        };
+
+        if (options.entrypoints) {
+            return this[_filterEntrypoints](options.entrypoints, isSassFile, detectChanges, options.sassOptions);
+        }
 
         return gIgnore.exclude(function (file) {
+            detectChanges(file);
+
             // Exclude the file when:
             // * It is a non-sass file and should be excluded
             // * OR: It is tracked as compiled
@@ -87,101 +182,370 @@ class DependencyTracker {
     }
 
     /**
-     * Inspects the streams files to track import statements.
+     * Whether or not a file is an entrypoint that is compiled on its own - as opposed to partials which are only imported.
      *
-     * @param sassOptions to retrieve the includePaths
+     * @param file {Vinyl|string} The file.
+     * @param entrypoints {boolean|string|Array<string>} `true` for the partial convention of the language (`_partial.scss`)
+     *                    or glob(s) matching the entrypoints. Globs starting with `!` exclude files.
+     * @returns {boolean}
+     */
+    isEntrypoint(file, entrypoints = true) {
+        let filePath = path.normalize(typeof file === 'string' ? path.resolve(file) : file.path);
+
+        if (entrypoints === true) {
+            return !(this[_getLanguage](filePath) || this.languages[0]).isPartial(filePath);
+        }
+
+        let globs = Array.isArray(entrypoints) ? entrypoints : [entrypoints];
+        let matches = glob => minimatch(filePath, path.normalize(path.resolve(glob)));
+        return globs.some(glob => !glob.startsWith('!') && matches(glob))
+            && !globs.some(glob => glob.startsWith('!') && matches(glob.substr(1)));
+    }
+
+    /**
+     * Inspects the streams files to track `@import`, `@use`, `@forward` and `meta.load-css()` statements
+     * as well as the urls found by the `extractors` option.
+     * Files of the other `languages` are inspected for their statements. (e.g. `@import` and `@require` of Stylus)
+     *
+     * @param sassOptions to retrieve the load paths and importers
      * @returns {stream}
      */
     inspect(sassOptions) {
-        const me = this;
-        return inspectStream(importRegex, function (match, file) {
-            if (file.path.endsWith('.scss') || file.path.endsWith('.sass')) {
-                me.reportImport(match, file, sassOptions);
+        return this[_inspect](sassOptions);
+    }
+
+    /**
+     * Reads sass files (and files of the other `languages`) directly from disk and inspects them - independent of any gulp stream.
+     * Resolved imports are followed recursively so partials under load paths or in `node_modules` are covered as well.
+     * Files are inspected just like by {@link inspect}, so both can be combined.
+     *
+     * @param globsOrDirs {string|Array<string>} Globs or directories. (Directories are scanned for the extensions of the `languages`)
+     * @param sassOptions to retrieve the load paths and importers
+     * @returns {Promise<Array<string>>} The normalized paths of all scanned files.
+     */
+    scan(globsOrDirs, sassOptions = {}) {
+        let scannedFiles = [];
+        let pending = [];
+        let extensions = this.languages.reduce((all, language) => all.concat(language.extensions), []);
+        const enqueue = filePath => {
+            if (!scannedFiles.includes(filePath) && !pending.includes(filePath)
+                && this[_getLanguage](filePath) !== null && path.exists(filePath)) {
+                pending.push(filePath);
             }
-        });
+        };
+
+        for (let pattern of Array.isArray(globsOrDirs) ? globsOrDirs : [globsOrDirs]) {
+            let isDirectory = !glob.hasMagic(pattern) && path.exists(pattern) && fs.statSync(pattern).isDirectory();
+            let filePattern = isDirectory ? `${pattern.replace(/[\\/]+$/, '')}/**/*${extensionPattern(extensions)}` : pattern;
+            glob.sync(filePattern, {absolute: true, nodir: true, ignore: '**/node_modules/**'})
+                .forEach(filePath => enqueue(path.normalize(filePath)));
+        }
+
+        const scanPending = () => {
+            if (pending.length === 0) {
+                return Promise.resolve(scannedFiles);
+            }
+
+            let batch = pending;
+            pending = [];
+            scannedFiles = scannedFiles.concat(batch);
+            return this[_inspectFiles](batch, sassOptions).then(() => {
+                for (let filePath of batch) {
+                    this.getTree().getDependencies(filePath).forEach(enqueue);
+                }
+                return scanPending();
+            });
+        };
+        return scanPending();
     }
 
     /**
      * Just sends a log message about the included files.
+     * With `explain` enabled, each message tells why the file is compiled. (See {@link explain})
      *
+     * @param options {{explain: boolean}}
      * @returns {stream}
      */
-    logFiles() {
+    logFiles(options = {explain: false}) {
         let me = this;
         return map(function (file, cb) {
-            if (!me.isOutputSuppressed()) {
+            if (me.logger.isEnabled('info')) {
                 let filePath = path.normalize(file.path);
-                logging.log.info(logging.colors.debug(`Will be compiling: ${filePath}`));
+                let explanation = options.explain ? me.explain(filePath) : null;
+                me.logger.info(`Will be compiling: ${filePath}${explanation !== null ? ` (${explanation})` : ''}`, {
+                    event: 'will-compile',
+                    file: filePath,
+                    explanation,
+                });
             }
             return cb(null, file);
         });
     }
 
+    /**
+     * Explains why a file is going to be recompiled by the import chain from the file that caused it,
+     * e.g. `main.scss <- _layout.scss <- _grid.scss (changed)`. Paths are relative to the working directory.
+     * Use {@link SassDependencyTree#getInvalidationCause} for the raw information.
+     *
+     * @param file A Vinyl file or a normalized absolute path.
+     * @returns {string}
+     */
+    explain(file) {
+        let tree = this.getTree();
+        let filePath = path.normalize(typeof file === 'string' ? path.resolve(file) : file.path);
+        let cwd = path.normalize(process.cwd());
+        let relative = chainedPath => posixPath.relative(cwd, chainedPath) || chainedPath;
+        let cause = tree.getInvalidationCause(filePath);
+
+        if (cause !== null) {
+            return `${cause.path.slice().reverse().map(relative).join(' <- ')} (${cause.reason})`;
+        }
+        return `${relative(filePath)} (${tree.isCompiled(filePath) ? 'up to date' : 'not compiled yet'})`;
+    }
+
     /**
      * Reports a file as compiled so it does not get recompiled the next time.
      * Call this after the sass compilation.
+     * Failures recorded for the file and its dependencies are cleared. (See {@link reportFailed})
+     * With `verify` enabled, the files the compiler actually loaded (See {@link readLoadedFiles}) are compared with the tree:
+     * Missed dependencies are added with the origin `compiler` and phantom dependencies are reported.
+     * Persists the tree to the `cacheFile` (if configured) once the stream ends.
      *
+     * @param options {{verify: boolean}}
      * @returns {stream}
      */
-    reportCompiled() {
+    reportCompiled(options = {verify: false}) {
         let me = this;
-        return map(function (file, cb) {
+        let stream = map(function (file, cb) {
+            let loaded = options.verify ? readLoadedFiles(file) : null;
+
             // Support for renaming files.
-            // Search for the earliest name ending in the scss extension.
+            // Search for the earliest name ending in the extension of a tracked language.
             for (let filePath of file.history) {
-                if (filePath.endsWith('.scss') || filePath.endsWith('.sass')) {
+                // Renamed (virtual) files and removed files must not be brought back.
+                if (me[_getLanguage](filePath) !== null && path.exists(filePath)) {
                     me.getTree().markAsCompiled(filePath);
+                    me.getTree().setFingerprint(filePath, fingerprintFile(path.normalize(filePath)));
+                    for (let dependency of me.getTree().getDependencies(filePath, true)) {
+                        me.getTree().clearFailure(dependency);
+
+                        // Dependencies outside of the stream (e.g. under load paths or assets) are checked by the cache as well.
+                        // The compilation has used their current version, so later runs have to compare against that one.
+                        me.getTree().setFingerprint(dependency, fingerprintFile(dependency));
+                    }
+
+                    if (loaded !== null) {
+                        me[_verifyDependencies](path.normalize(filePath), loaded);
+                        loaded = null;
+                    }
                 }
             }
             cb(null, file)
-        })
+        });
+
+        if (this.getCacheFile() !== null) {
+            stream.on('end', function () {
+                try {
+                    me.saveCache();
+                } catch (e) {
+                    me.logger.warn(`Unable to write dependency cache ${me.getCacheFile()}: ${e.message}`, {
+                        event: 'cache-write-failed',
+                        file: me.getCacheFile(),
+                        reason: e.message,
+                    });
+                }
+            });
+        }
+        return stream;
+    }
+
+    /**
+     * Creates an error listener for the compiler stream that records the failed file along with the error message.
+     * Failed files are kept dirty, so {@link filter} passes them on until they compile.
+     * The error is handed on to the given handler (with the stream as `this`), e.g.:
+     * `sass().on('error', tracker.reportFailed(sass.logError))`
+     *
+     * @param handler {Function|null} The error handler of the compiler. (e.g. `sass.logError`)
+     * @returns {Function} The error listener.
+     */
+    reportFailed(handler = null) {
+        let me = this;
+        return function (error) {
+            let file = error ? error.file || error.fileName || error.path : null;
+            let filePath = typeof file === 'string' && file !== '' ? path.normalize(path.resolve(file)) : null;
+
+            // Compilers name the stylesheet "stdin" when it has no file.
+            if (filePath !== null && path.exists(filePath)) {
+                me.getTree().markAsFailed(filePath, error.messageOriginal || error.message || String(error));
+            }
+
+            if (handler !== null) {
+                return handler.call(this, error);
+            }
+        };
+    }
+
+    /**
+     * The files that failed to compile with their error messages. (See {@link reportFailed})
+     *
+     * @returns {Array<{file: string, message: string}>}
+     */
+    getFailures() {
+        return this.getTree().getFailures();
     }
 
     /**
      * Resets the dependency tracker to its initial state after construction.
+     * The cache file is not touched until the tree is saved again.
      */
     reset() {
         this.sassTree.clear();
     }
 
     /**
-     * Resolves and registers an import found in a Vinyl file.
+     * Restores the dependency tree from the `cacheFile`.
+     * Files which changed or vanished since they have been cached are marked for recompilation.
+     * Files without a fingerprint are compared by their content hash (if any).
+     * A missing, unreadable, outdated or incompatible cache (e.g. of other `extractors` or `languages`) is ignored.
      *
-     * @param match The RegEx match (group 0).
-     * @param file Vinyl file the import was found in.
-     * @param sassOptions to retrieve the includePaths
-     * @returns {void}
+     * @returns {boolean} Whether or not a cache has been restored.
      */
-    reportImport(match, file, sassOptions) {
-        let includePaths = sassOptions.includePaths || ['.'];
-        let filePath = path.normalize(file.path);
-        let regex = RegExp(importRegex.source, importRegex.flags);
-        let importPath = regex.exec(match)[1];
-
-        if (importPath === null || importPath === undefined) {
-            throw new Error(`No regex group for import match: ${match}`);
+    loadCache() {
+        let state = readCache(this.getCacheFile(), this.logger);
+        if (state === null) {
+            return false;
         }
 
-        if (this.isDebug() && !this.isOutputSuppressed()) {
-            logging.log.info(logging.colors.debug(`Found import: "${importPath}" in ${filePath}`));
+        let tree = this.getTree();
+        try {
+            tree.importState(state);
+        } catch (e) {
+            tree.clear();
+            this.logger.warn(`Discarding incompatible dependency cache ${this.getCacheFile()}: ${e.message}`, {
+                event: 'cache-discarded',
+                file: this.getCacheFile(),
+                reason: e.message,
+            });
+            return false;
         }
 
-        let importFilePath;
-        for (let inclPath of includePaths) {
-            let parentDir = path.normalize(path.dirname(file.path));
-            importFilePath = resolveImport(importPath, inclPath, parentDir);
+        for (let filePath of tree.getFiles()) {
+            let fingerprint = tree.getFingerprint(filePath);
+            let hash = tree.getContentHash(filePath);
+            let changed = fingerprint !== null
+                ? !isSameFingerprint(fingerprint, fingerprintFile(filePath))
+                : hash !== null && hash !== hashFile(filePath);
 
-            if (importFilePath) {
-                break;
+            // Files may have been touched without changing (e.g. by switching branches).
+            if (changed && hash !== null && hash === hashFile(filePath)) {
+                changed = false;
+            }
+
+            if (changed) {
+                this.logger.debug(`Changed since the last run: ${filePath}`, {event: 'file-changed', file: filePath});
+                tree.markAsNotCompiled(filePath);
             }
         }
+        return true;
+    }
 
-        if (importFilePath) {
-            this.sassTree.addDependency(file, importFilePath);
+    /**
+     * Persists the dependency tree including compile states and file fingerprints to the `cacheFile`.
+     *
+     * @returns {void}
+     */
+    saveCache() {
+        if (this.getCacheFile() === null) {
+            throw new Error('No cacheFile has been configured');
+        }
+        writeCache(this.getCacheFile(), this.getTree().exportState());
+    }
 
-        } else if (!this.isOutputSuppressed()) {
-            logging.log.warn(logging.colors.warn(`Unable to resolve dependency "${importPath} for ${filePath}`));
+    /**
+     * Resolves and registers an `@import`, `@use` or `@forward` rule found in a Vinyl file.
+     * Built-in modules (`sass:math` etc.) are skipped as they have no file to depend on.
+     * Dependencies registered this way are kept when the file is re-inspected.
+     *
+     * @param match An import found by the scanner (`{rule, url, line, column}`) or the statement itself as a string.
+     *              Statements containing multiple targets register all of them. So do globs of `// @sass-deps:` comments.
+     * @param file Vinyl file the import was found in.
+     * @param sassOptions to retrieve the load paths and importers
+     * @returns {void|Promise} A promise settling once registered if an importer is asynchronous.
+     */
+    reportImport(match, file, sassOptions) {
+        if (match === null || match === undefined) {
+            throw new Error(`Cannot report an import from: ${match}`);
+        }
+
+        let found = [match];
+        if (typeof match.url !== 'string') {
+            let statement = Array.isArray(match) ? match[0] : String(match);
+            found = (this[_getLanguage](file.path) || this.languages[0]).scanImports(statement, path.normalize(file.path));
         }
+        let {imports, globs} = this[_expandGlobs](found, path.normalize(file.path), sassOptions);
+
+        // Statements and globs are registered target by target.
+        if (imports.length !== 1 || imports[0] !== match) {
+            globs.forEach(glob => this.sassTree.addGlobDependency(file, glob.pattern, glob.rule, glob.url, 'manual'));
+
+            let pending = imports
+                .map(target => this.reportImport(target, file, sassOptions))
+                .filter(isThenable);
+            return pending.length > 0 ? Promise.all(pending).then(() => undefined) : undefined;
+        }
+
+        return whenResolved(this[_resolveImport](match, file, sassOptions), dependency => {
+            if (dependency !== null && dependency.path !== null) {
+                this.sassTree.addDependency(file, dependency.path, dependency.rule, dependency.url);
+            } else if (dependency !== null && dependency.dynamic) {
+                this.sassTree.addDynamicImport(file, dependency, 'manual');
+            } else if (dependency !== null) {
+                this.sassTree.addUnresolved(file, dependency, 'manual');
+            }
+        });
+    }
+
+    /**
+     * Tries to resolve the recorded unresolved imports again. (e.g. after a file has been added)
+     * Files whose imports could be resolved are marked for recompilation.
+     *
+     * @param sassOptions to retrieve the load paths and importers
+     * @returns {Array<{file: string, url: string, path: string}>|Promise<Array>} The imports that have been resolved.
+     *          A promise of those if an importer is asynchronous.
+     */
+    retryUnresolved(sassOptions) {
+        let tree = this.getTree();
+        let resolvedImports = [];
+
+        let pending = tree.getUnresolved().map(unresolved => {
+            return whenResolved(this[_resolveImport](unresolved, {path: unresolved.file}, sassOptions, true), dependency => {
+                if (dependency === null) {
+                    // A custom importer provides the contents now.
+                    tree.removeUnresolved(unresolved.file, unresolved.url);
+                    return;
+                } else if (dependency.path === null) {
+                    return;
+                }
+
+                tree.removeUnresolved(unresolved.file, unresolved.url);
+                tree.addDependency(unresolved.file, dependency.path, dependency.rule, dependency.url, unresolved.origin);
+                tree.markAsNotCompiled(unresolved.file, 'import resolved');
+                resolvedImports.push({file: unresolved.file, url: unresolved.url, path: dependency.path});
+            });
+        }).filter(isThenable);
+
+        return pending.length > 0 ? Promise.all(pending).then(() => resolvedImports) : resolvedImports;
+    }
+
+    /**
+     * Removes a deleted file from the tracking.
+     * Files depending on it are marked for recompilation and their imports of it are recorded as unresolved.
+     * Those are resolved again by the next {@link inspect} (or {@link retryUnresolved}) once a replacement exists.
+     *
+     * @param file A Vinyl file or a normalized absolute path.
+     */
+    removeFile(file) {
+        this.sassTree.removeFile(file);
     }
 
     /**
@@ -198,9 +562,69 @@ class DependencyTracker {
      * Does so recursively for any files that depend on the original file.
      *
      * @param file A Vinyl file or a normalized absolute path.
+     * @param reason {string} Why the file has to be recompiled. (See {@link explain})
+     */
+    queueRebuild(file, reason = 'changed') {
+        this.sassTree.markAsNotCompiled(file, reason);
+    }
+
+    /**
+     * Adds a new file as dependency to the files with a glob matching it. (See {@link SassDependencyTree#findGlobDependents})
+     * Call this before {@link queueRebuild}, so the files are marked for recompilation along with the new file.
+     *
+     * @param file A Vinyl file or a path.
+     * @returns {Array<string>} The normalized paths of the files depending on the new file now.
+     */
+    expandGlobDependencies(file) {
+        let tree = this.getTree();
+        let filePath = path.normalize(typeof file === 'string' ? path.resolve(file) : file.path);
+        let dependents = [];
+
+        for (let glob of tree.findGlobDependents(filePath)) {
+            let url = posixPath.relative(path.dirname(glob.file), filePath);
+            tree.addDependency(glob.file, filePath, glob.rule, url, glob.origin);
+            if (!dependents.includes(glob.file)) {
+                dependents.push(glob.file);
+            }
+        }
+        return dependents;
+    }
+
+    /**
+     * Subscribes the tracker to the events of a file watcher (chokidar/gulp 4 or gaze/gulp 3).
+     * Changed files are queued for a rebuild, deleted files are removed and added files resolve waiting imports.
+     * Bursts of events are debounced into a single run of the optional task.
+     *
+     * @param watcher {EventEmitter} The watcher. (e.g. returned by `gulp.watch(globs)`)
+     * @param options {{task: (Function|null), delay: number, sassOptions: Object}} The task to run after changes,
+     *                the debounce delay in milliseconds and the sassOptions to resolve imports with.
+     * @returns {EventEmitter} The watcher.
+     */
+    attach(watcher, options = {task: null, delay: 100, sassOptions: {}}) {
+        return attachWatcher(this, watcher, options);
+    }
+
+    /**
+     * Watches files and runs a task whenever they changed. See {@link attach}.
+     *
+     * @param globs {string|Array<string>} The files to watch.
+     * @param task {Function} The task to run after changes. May accept a callback, return a promise or a stream.
+     * @param options {{delay: number, sassOptions: Object, watchOptions: Object, watch: Function}} See {@link attach}.
+     *                `watchOptions` are passed on to the watcher created by `watch` (defaults to `gulp.watch`).
+     * @returns {EventEmitter} The watcher.
+     * @throws {Error} If no `watch` function is given and gulp cannot be loaded.
      */
-    queueRebuild(file) {
-        this.sassTree.markAsNotCompiled(file);
+    watch(globs, task, options = {}) {
+        let watch = options.watch;
+        if (!watch) {
+            try {
+                watch = require('gulp').watch;
+            } catch (e) {
+                throw new Error(`Cannot load gulp to watch files (${e.message}). Install gulp or pass a "watch" function in the options`);
+            }
+        }
+        let watcher = watch(globs, options.watchOptions || {});
+        return this.attach(watcher, Object.assign({}, options, {task}));
     }
 
     /**
@@ -212,6 +636,552 @@ class DependencyTracker {
     getTree() {
         return this.sassTree;
     }
+
+    // --- Private methods --- //
+
+    /**
+     * Resolves an import found by the scanner with the precedence of sass:
+     * A path relative to the importing file, then the custom importers of the sass options (`importer` and `importers`),
+     * then the load paths. (See {@link _getLoadPaths})
+     * Imports answered with generated contents have no file to depend on and are skipped.
+     * Urls found by an extractor are resolved by its `resolve` function instead. (See {@link resolveAsset})
+     * So are paths declared by `// @sass-deps:` comments. Dynamic imports cannot be resolved at all.
+     * Imports of the other `languages` are resolved by their adapter without custom importers. (See {@link ADAPTERS})
+     *
+     * @param found {{rule: string, url: string, line: number, column: number}} The import.
+     * @param file Vinyl file the import was found in.
+     * @param sassOptions to retrieve the load paths and importers
+     * @param quiet {boolean} Whether or not to skip logging.
+     * @returns {{path: (string|null), rule: string, url: string, line: number, column: number, dynamic: (boolean|undefined)}|null|Promise}
+     *          The dependency with a `path` of null if it cannot be resolved. Null if it need not be resolved.
+     *          A promise of that if an importer is asynchronous.
+     */
+    [_resolveImport](found, file, sassOptions, quiet = false) {
+        sassOptions = sassOptions || {};
+        let filePath = path.normalize(file.path);
+        let language = this[_getLanguage](filePath) || this.languages[0];
+        let loadPaths = this[_getLoadPaths](sassOptions, language);
+        let {rule = 'import', url: importPath, namespace, show, hide, configured} = found;
+        let location = found.line !== undefined ? `${filePath}:${found.line}:${found.column}` : filePath;
+
+        if (importPath.startsWith('sass:')) {
+            return null;
+        }
+
+        if (this.logger.isEnabled('debug') && !quiet) {
+            let details = [
+                namespace ? `as ${namespace}` : '',
+                show ? `show ${show.join(', ')}` : '',
+                hide ? `hide ${hide.join(', ')}` : '',
+                configured ? 'with (...)' : '',
+            ].filter(detail => detail !== '').join(' ');
+            this.logger.debug(`Found @${rule}: "${importPath}" ${details ? `(${details}) ` : ''}in ${location}`, {
+                event: 'import-found',
+                file: filePath,
+                line: found.line,
+                column: found.column,
+                import: importPath,
+                rule,
+            });
+        }
+
+        if (found.dynamic) {
+            if (!quiet) {
+                this.logger[found.declared ? 'debug' : 'warn'](`Cannot track the dynamic import "${importPath}" in ${location}. `
+                    + 'Declare its targets with a "// @sass-deps: <paths or globs>" comment.', {
+                    event: 'import-dynamic',
+                    file: filePath,
+                    line: found.line,
+                    column: found.column,
+                    import: importPath,
+                    rule,
+                });
+            }
+            return {path: null, rule, url: importPath, line: found.line, column: found.column, dynamic: true};
+        }
+
+        // Absolute paths, `~` and `pkg:` urls do not depend on load paths at all.
+        let isRelative = !path.isAbsolute(importPath) && !importPath.startsWith('pkg:') && !importPath.startsWith('~');
+        let parentDir = path.dirname(filePath);
+
+        const complete = (importFilePath, failure) => {
+            if (!importFilePath && !quiet) {
+                let reason = failure !== null ? `: ${failure}` : '';
+                this.logger.warn(`Unable to resolve dependency "${importPath}" for ${location}${reason}`, {
+                    event: 'import-unresolved',
+                    file: filePath,
+                    line: found.line,
+                    column: found.column,
+                    import: importPath,
+                    rule,
+                    includePaths: isRelative ? loadPaths : [],
+                    reason: failure,
+                });
+            }
+            return {path: importFilePath || null, rule, url: importPath, line: found.line, column: found.column};
+        };
+
+        const resolveFromLoadPaths = () => {
+            let importFilePath = null;
+            try {
+                for (let loadPath of isRelative ? loadPaths : []) {
+                    importFilePath = language.resolve(importPath, loadPath, rule);
+
+                    if (importFilePath) {
+                        break;
+                    }
+                }
+            } catch (e) {
+                // Ambiguous imports are reported like sass does.
+                return complete(null, e.message);
+            }
+            return complete(importFilePath, null);
+        };
+
+        const handleImporterResult = handled => {
+            if (handled === null) {
+                return resolveFromLoadPaths();
+            }
+            return handled.file !== null ? complete(handled.file, null) : null;
+        };
+
+        let extractor = this.extractors.find(candidate => candidate.name === rule);
+        if (extractor !== undefined || rule === 'pragma') {
+            try {
+                let resolve = extractor !== undefined ? extractor.resolve : resolveAsset;
+                return complete(resolve(importPath, filePath, loadPaths), null);
+            } catch (e) {
+                return complete(null, e.message);
+            }
+        }
+
+        // Like sass, a path relative to the importing file takes precedence over importers and load paths.
+        try {
+            let directFilePath;
+            if (path.isAbsolute(importPath)) {
+                directFilePath = path.exists(importPath) ? path.normalize(importPath) : null;
+            } else if (isRelative) {
+                directFilePath = language.resolve(importPath, parentDir, rule);
+            } else if (language.resolvePackage) {
+                directFilePath = language.resolvePackage(importPath, parentDir, rule);
+            }
+
+            if (directFilePath) {
+                return complete(directFilePath, null);
+            }
+        } catch (e) {
+            // Ambiguous imports are reported like sass does.
+            return complete(null, e.message);
+        }
+
+        let handled = null;
+        try {
+            handled = language.customImporters ? resolveWithImporters(importPath, filePath, sassOptions, rule) : null;
+        } catch (e) {
+            return complete(null, e.message);
+        }
+
+        if (isThenable(handled)) {
+            return handled.then(handleImporterResult, e => complete(null, e && e.message ? e.message : String(e)));
+        }
+        return handleImporterResult(handled);
+    }
+
+    /**
+     * Finds the adapter of the language of a file by its extension.
+     *
+     * @param filePath {string} Path of the file.
+     * @returns {Object|null} The adapter (See {@link ADAPTERS}) or null if the file is of none of the tracked `languages`.
+     */
+    [_getLanguage](filePath) {
+        let language = this.languages.find(candidate => candidate.extensions.some(extension => filePath.endsWith(extension)));
+        return language !== undefined ? language : null;
+    }
+
+    /**
+     * Normalizes the load paths of the sass options and warns about misspelled load path options once.
+     * Other languages read their load paths from the options of their compiler. (e.g. `paths` of Less)
+     * Without any load paths, imports are resolved against the working directory.
+     *
+     * @param sassOptions {Object} The sass options.
+     * @param language {Object} The adapter of the language. (See {@link ADAPTERS})
+     * @returns {Array<string>} Normalized absolute load paths.
+     */
+    [_getLoadPaths](sassOptions = {}, language = this.languages[0]) {
+        sassOptions = sassOptions || {};
+        if (language === ADAPTERS.sass && !checkedSassOptions.has(sassOptions)) {
+            checkedSassOptions.add(sassOptions);
+
+            for (let {key, suggestion} of findLoadPathTypos(sassOptions)) {
+                this.logger.warn(`Unknown sass option "${key}" is ignored. Did you mean "${suggestion}"?`, {
+                    event: 'option-typo',
+                    option: key,
+                    suggestion,
+                });
+            }
+        }
+
+        let loadPaths = language.getLoadPaths(sassOptions);
+        return loadPaths.length > 0 ? loadPaths : [path.normalize(process.cwd())];
+    }
+
+    /**
+     * Expands globs to the files currently matching them:
+     * * Globs declared by `// @sass-deps:` comments relative to the file.
+     * * Glob imports (`@import 'components/**\/*'`, as supported by `gulp-sass-glob` and similar importers)
+     *   relative to the file and to each load path. They only match stylesheets. (So do the glob imports of Stylus)
+     *
+     * @param foundImports {Array<Object>} The imports found by the scanner.
+     * @param filePath {string} Normalized absolute path of the file containing the imports.
+     * @param sassOptions to retrieve the load paths
+     * @returns {{imports: Array<Object>, globs: Array<{pattern: string, rule: string, url: string}>}}
+     *          The imports with each glob replaced by its matches and the absolute globs.
+     */
+    [_expandGlobs](foundImports, filePath, sassOptions) {
+        let imports = [];
+        let globs = [];
+        let directory = path.dirname(filePath);
+        let language = this[_getLanguage](filePath) || this.languages[0];
+
+        for (let found of foundImports) {
+            let isGlobImport = ['import', 'require'].includes(found.rule) && !found.dynamic && glob.hasMagic(found.url);
+            if (!isGlobImport && (found.rule !== 'pragma' || !glob.hasMagic(found.url))) {
+                imports.push(found);
+                continue;
+            }
+
+            let url = found.url;
+            let directories = [directory];
+            if (isGlobImport) {
+                // Like the glob importers, extensionless globs match all stylesheets.
+                url = /\.[\w{},]+$/.test(posixPath.basename(url)) ? url : `${url}${extensionPattern(language.importExtensions)}`;
+                directories = directories.concat(this[_getLoadPaths](sassOptions, language)).filter((base, index, bases) => bases.indexOf(base) === index);
+            }
+
+            let patterns = path.isAbsolute(url) ? [path.normalize(url)] : directories.map(base => path.normalize(path.join(base, url)));
+            let matches = [];
+            for (let pattern of patterns) {
+                globs.push({pattern, rule: found.rule, url: found.url});
+
+                for (let match of glob.sync(pattern, {nodir: true, absolute: true})) {
+                    let matchPath = path.normalize(match);
+                    if (matchPath !== filePath && !matches.includes(matchPath)) {
+                        matches.push(matchPath);
+                        imports.push({rule: found.rule, url: posixPath.relative(directory, matchPath), line: found.line, column: found.column});
+                    }
+                }
+            }
+        }
+        return {imports, globs};
+    }
+
+    /**
+     * Reconciles the dependencies of a compiled file with the files the compiler loaded for it.
+     * The dependencies added for the missed files of the previous verification are replaced. Only newly missed files are reported.
+     * Phantom dependencies can only be told when the compiler reported all loaded files.
+     *
+     * @param filePath {string} Normalized absolute path of the compiled file.
+     * @param loaded {{files: Array<string>, complete: boolean, source: string}} See {@link readLoadedFiles}.
+     * @returns {void}
+     */
+    [_verifyDependencies](filePath, loaded) {
+        let tree = this.getTree();
+        let known = [];
+        for (let dependency of tree.getDependencies(filePath)) {
+            if (tree.getDependencyOrigins(filePath, dependency).some(origin => origin !== 'compiler')) {
+                [dependency].concat(tree.getDependencies(dependency, true))
+                    .filter(knownPath => !known.includes(knownPath))
+                    .forEach(knownPath => known.push(knownPath));
+            }
+        }
+
+        let previouslyMissing = tree.getDependencies(filePath)
+            .filter(dependency => tree.getDependencyOrigins(filePath, dependency).includes('compiler'));
+        let allMissing = loaded.files.filter(loadedPath => loadedPath !== filePath && !known.includes(loadedPath));
+        let missing = allMissing.filter(missingPath => !previouslyMissing.includes(missingPath));
+        // Only stylesheets are loaded by the compiler. (As opposed to assets found by extractors)
+        let stylesheetExtensions = this.languages.reduce((extensions, language) => extensions.concat(language.importExtensions), []);
+        let isStylesheet = knownPath => stylesheetExtensions.some(extension => knownPath.endsWith(extension));
+        let phantom = !loaded.complete ? [] : known.filter(knownPath => isStylesheet(knownPath) && !loaded.files.includes(knownPath));
+        tree.replaceDependencies(filePath, allMissing.map(missingPath => ({path: missingPath, rule: 'import'})), 'compiler');
+
+        if (missing.length === 0 && phantom.length === 0) {
+            return;
+        }
+
+        if (this.logger.isEnabled('debug')) {
+            let diff = missing.map(missingPath => `\n  + ${missingPath}`).concat(phantom.map(phantomPath => `\n  - ${phantomPath}`));
+            this.logger.debug(`Dependencies of ${filePath} differ from the ${loaded.source} of the compiler:${diff.join('')}`, {
+                event: 'dependency-mismatch',
+                file: filePath,
+                missing,
+                phantom,
+                source: loaded.source,
+            });
+        }
+        this.emit('dependency-mismatch', {file: filePath, missing, phantom, source: loaded.source});
+    }
+
+    /**
+     * Creates the stream for {@link inspect}.
+     *
+     * @param sassOptions to retrieve the load paths and importers
+     * @param quiet {boolean} Whether or not to skip logging the imports. (e.g. for files that are inspected again later)
+     * @returns {stream}
+     */
+    [_inspect](sassOptions, quiet = false) {
+        const me = this;
+        const extractImports = file => {
+            let language = me[_getLanguage](file.path);
+            if (language === null) {
+                return [];
+            }
+            let contents = file.contents === null ? '' : file.contents.toString();
+            let found = language.scanImports(contents, path.normalize(file.path));
+            for (let extractor of me.extractors) {
+                found = found.concat(extractor.extract(contents, path.normalize(file.path)));
+            }
+
+            // Dynamic imports are expected once their targets have been declared.
+            let isDeclared = found.some(foundImport => foundImport.rule === 'pragma');
+            found.filter(foundImport => foundImport.dynamic).forEach(foundImport => foundImport.declared = isDeclared);
+
+            let {imports, globs} = me[_expandGlobs](found, path.normalize(file.path), sassOptions);
+            me.getTree().replaceGlobDependencies(file, globs, 'inspect');
+            return imports;
+        };
+
+        let stream = inspectStream(extractImports, function (found, file) {
+            return me[_resolveImport](found, file, sassOptions, quiet);
+
+        }, function (file, resolved) {
+            if (me[_getLanguage](file.path) !== null) {
+                let previousDependencies = me.getTree().getDependencies(file);
+                resolved = resolved.filter(dependency => dependency !== null);
+
+                // Swap the previously inspected dependencies for the current ones.
+                me.getTree().replaceDependencies(file, resolved.filter(dependency => dependency.path !== null), 'inspect');
+                me.getTree().replaceUnresolved(file, resolved.filter(dependency => dependency.path === null && !dependency.dynamic), 'inspect');
+                me.getTree().replaceDynamicImports(file, resolved.filter(dependency => dependency.dynamic), 'inspect');
+                me.getTree().setFingerprint(file, fingerprintFile(path.normalize(file.path), file.stat));
+
+                let addedDependencies = me.getTree().getDependencies(file)
+                    .filter(dependency => !previousDependencies.includes(dependency));
+                me[_checkCycles](file, addedDependencies);
+            }
+        });
+
+        // Files the stream brought in may replace removed dependencies.
+        stream.on('end', function () {
+            me.retryUnresolved(sassOptions);
+        });
+        return stream;
+    }
+
+    /**
+     * Reads files from disk and pipes them through {@link inspect}.
+     *
+     * @param filePaths {Array<string>} Normalized absolute paths.
+     * @param sassOptions to retrieve the load paths and importers
+     * @param quiet {boolean} Whether or not to skip logging the imports.
+     * @returns {Promise} Settles once the files have been inspected.
+     */
+    [_inspectFiles](filePaths, sassOptions, quiet = false) {
+        let cwd = path.normalize(process.cwd());
+        return new Promise((resolve, reject) => {
+            let stream = this[_inspect](sassOptions, quiet);
+            stream.on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+
+            for (let filePath of filePaths) {
+                stream.write(new Vinyl({
+                    cwd,
+                    base: path.dirname(filePath),
+                    path: filePath,
+                    stat: fs.statSync(filePath),
+                    contents: fs.readFileSync(filePath),
+                }));
+            }
+            stream.end();
+        });
+    }
+
+    /**
+     * Compares the contents of a file with the version seen before and marks it for recompilation if they differ.
+     *
+     * @param filePath {string} Normalized absolute path of the file.
+     * @param contents {Buffer|null} The current contents or null to read them from disk.
+     * @param checkedFiles {Set} Files that have already been checked and are skipped.
+     * @returns {void}
+     */
+    [_detectChange](filePath, contents, checkedFiles) {
+        if (checkedFiles.has(filePath)) {
+            return;
+        }
+        checkedFiles.add(filePath);
+
+        let tree = this.getTree();
+        let previousHash = tree.getContentHash(filePath);
+        let hash = contents !== null ? hashContents(contents) : hashFile(filePath);
+
+        if (previousHash !== null && previousHash !== hash) {
+            this.logger.debug(`Contents changed: ${filePath}`, {event: 'file-changed', file: filePath});
+            tree.markAsNotCompiled(filePath);
+        }
+        tree.setContentHash(filePath, hash);
+    }
+
+    /**
+     * Reports circular dependencies created by newly added dependencies of a file.
+     * Emits `cycle-detected` for each cycle. Depending on {@link getCycleHandling}, a warning is logged or an error is thrown.
+     *
+     * @param file Vinyl file whose dependencies have been added.
+     * @param addedDependencies {Array<string>} Normalized paths of the added dependencies.
+     * @returns {void}
+     */
+    [_checkCycles](file, addedDependencies) {
+        let handling = this.getCycleHandling();
+        let filePath = path.normalize(file.path);
+        let tree = this.getTree();
+
+        if (handling === 'ignore' && this.listenerCount('cycle-detected') === 0) {
+            return;
+        }
+
+        let createsCycle = addedDependencies.some(dependency => {
+            return dependency === filePath || tree.getDependencies(dependency, true).includes(filePath);
+        });
+        if (!createsCycle) {
+            return;
+        }
+
+        for (let cycle of tree.findCycles(filePath)) {
+            this.emit('cycle-detected', {file: filePath, cycle});
+
+            let message = `Circular dependency: ${cycle.join(' => ')}`;
+            if (handling === 'ignore') {
+                continue;
+            } else if (handling === 'error') {
+                throw new Error(message);
+            } else {
+                this.logger.warn(message, {event: 'cycle-detected', file: filePath, cycle});
+            }
+        }
+    }
+
+    /**
+     * Creates the stream for {@link filter} in entrypoint mode.
+     * Dirty entrypoints pass, partials are dropped. Dirty partials are swapped for the entrypoints depending on them.
+     * As dropped partials never reach {@link inspect}, they are inspected from disk (along with the files they import
+     * and the entrypoints that have not been inspected yet) before looking those entrypoints up at the end of the stream.
+     * Entrypoints that did not pass already are read from disk.
+     *
+     * @param entrypoints {boolean|string|Array<string>} See {@link isEntrypoint}.
+     * @param isSassFile {Function} Whether or not a Vinyl file is a sass file.
+     * @param detectChanges {Function} Checks a Vinyl file for changes.
+     * @param sassOptions to retrieve the load paths and importers
+     * @returns {stream}
+     */
+    [_filterEntrypoints](entrypoints, isSassFile, detectChanges, sassOptions) {
+        const me = this;
+        const tree = this.getTree();
+        const passed = new Set();
+        const partials = [];
+
+        // Follows the imports of the partials to the files that have not been inspected yet. (e.g. nested partials)
+        const inspectPartials = filePaths => {
+            if (filePaths.length === 0) {
+                return Promise.resolve();
+            }
+
+            return me[_inspectFiles](filePaths, sassOptions).then(() => {
+                let uninspected = [];
+                for (let dependency of filePaths.reduce((all, filePath) => all.concat(tree.getDependencies(filePath)), [])) {
+                    if (!uninspected.includes(dependency) && tree.getFingerprint(dependency) === null
+                        && me[_getLanguage](dependency) !== null && path.exists(dependency)) {
+                        uninspected.push(dependency);
+                    }
+                }
+                return inspectPartials(uninspected);
+            });
+        };
+
+        return new Transform({
+            objectMode: true,
+
+            transform(file, encoding, callback) {
+                let filePath = path.normalize(file.path);
+                detectChanges(file);
+
+                if (!isSassFile(file)) {
+                    return callback(null, me.isNonSassFiltered() ? undefined : file);
+
+                } else if (me.isEntrypoint(file, entrypoints)) {
+                    if (tree.isCompiled(file)) {
+                        return callback();
+                    }
+                    passed.add(filePath);
+                    return callback(null, file);
+
+                } else if (!tree.isCompiled(file)) {
+                    partials.push(file);
+                }
+                return callback();
+            },
+
+            flush(callback) {
+                if (partials.length === 0) {
+                    return callback();
+                }
+
+                // Entrypoints passed on are inspected by `inspect()` again, which reports their imports.
+                let uninspectedEntrypoints = Array.from(passed)
+                    .filter(entrypoint => tree.getFingerprint(entrypoint) === null && path.exists(entrypoint));
+                let partialPaths = partials.map(partial => path.normalize(partial.path)).filter(partialPath => path.exists(partialPath));
+
+                me[_inspectFiles](uninspectedEntrypoints, sassOptions, true).then(() => inspectPartials(partialPaths)).then(() => {
+                    let required = new Map();
+                    let unused = [];
+
+                    for (let partial of partials) {
+                        let roots = tree.getDependents(partial, true).filter(dependent => me.isEntrypoint(dependent, entrypoints));
+                        if (roots.length === 0) {
+                            unused.push(path.normalize(partial.path));
+                            continue;
+                        }
+
+                        // The changes of the partial are passed on to its roots.
+                        for (let root of roots) {
+                            tree.markAsNotCompiled(root, 'not compiled yet', partial);
+                            if (!required.has(root)) {
+                                required.set(root, partial);
+                            }
+                        }
+                        tree.markAsCompiled(partial);
+                    }
+
+                    for (let [root, partial] of required) {
+                        if (passed.has(root) || !path.exists(root)) {
+                            continue;
+                        }
+
+                        this.push(new Vinyl({
+                            cwd: partial.cwd,
+                            base: root.startsWith(path.normalize(partial.base)) ? partial.base : path.dirname(root),
+                            path: root,
+                            stat: fs.statSync(root),
+                            contents: fs.readFileSync(root),
+                        }));
+                    }
+
+                    for (let partial of unused) {
+                        me.logger.warn(`Partial is not used by any entrypoint: ${partial}`, {event: 'unused-partial', file: partial});
+                    }
+                }).then(() => callback(), callback);
+            },
+        });
+    }
 }
 
 module.exports = DependencyTracker;
\ No newline at end of file
@@ -1,8 +1,12 @@
 'use strict';
 
+const EventEmitter = require('events');
+const minimatch = require('minimatch');
 const path = require('./path-ponyfill');
 const Vinyl = require('vinyl');
 const logging = require('./logging');
+const {serializeGraph} = require('./graph-export');
+const {resolveLanguages} = require('./language-adapters');
 
 /**
  * Retrieves a path from a file-like input parameter.
@@ -41,46 +45,92 @@ function fileArgumentToNormalizedPath(file) {
     throw new Error(`Cannot retrieve normalized path from: ${file}`)
 }
 
+/**
+ * The sass rules that can create a dependency between two files.
+ * (`load-css` stands for `meta.load-css()` and `pragma` for `// @sass-deps:` comments)
+ * @type {string[]}
+ */
+const RULES = ['import', 'use', 'forward', 'load-css', 'pragma'];
+
+/**
+ * The events emitted by the tree:
+ * * `dependency-added` - `{file, dependency, rule, origin, url}` when a file starts to depend on another file.
+ * * `dependency-removed` - `{file, dependency}` when a file no longer depends on another file.
+ * * `invalidated` - `{file, origin, path, reason}` when a file is marked for recompilation.
+ *   `origin` is the file that has been invalidated in the first place (because of `reason`) and `path` leads from it to `file`.
+ * * `compiled` - `{file}` when a file is marked as compiled.
+ * * `failed` - `{file, message}` when a file failed to compile.
+ * * `unresolved-import` - `{file, url, rule, line, column, origin}` when an import could not be resolved.
+ * * `dynamic-import` - `{file, url, rule, line, column, origin}` when an import with an unknown target (e.g. `#{$theme}`) has been found.
+ * @type {string[]}
+ */
+const EVENTS = ['dependency-added', 'dependency-removed', 'invalidated', 'compiled', 'failed', 'unresolved-import', 'dynamic-import'];
+
 const _getOrCreateEntry = Symbol('internalGetOrCreateEntry');
 const _getDependencies = Symbol('internalGetDependencies');
-const _isDebug = Symbol('isDebug');
-const _isOutputSuppressed = Symbol('isOutputSuppressed');
+const _getDependents = Symbol('internalGetDependents');
+const _findStronglyConnected = Symbol('internalFindStronglyConnected');
+const _findCyclePath = Symbol('internalFindCyclePath');
+const _addEdge = Symbol('internalAddEdge');
+const _removeEdge = Symbol('internalRemoveEdge');
+const _invalidate = Symbol('internalInvalidate');
+const _findDependentPath = Symbol('internalFindDependentPath');
 
 /**
  * @property internalTree {Map} Internal representation of the dependency tree. Avoid using this as it may change EVEN IN MINOR UPDATES!
+ * @property internalDependents {Map} Internal reverse index of the dependency tree (dependency => Set of dependents). Same as above!
+ * @property logger {Object} The logger created from the options. (See {@link logging.createLogger})
  */
-class SassDependencyTree {
+class SassDependencyTree extends EventEmitter {
 
     // --- Private fields --- //
 
     // TODO: Use when supported by Node.
     //#internalTree;
+    //#internalDependents;
     //#options;
+    //#languages;
 
     // --- Public methods --- //
 
     constructor(options = {debug: false, suppressOutput: false}) {
+        super();
         this.internalTree = new Map();
+        this.internalDependents = new Map();
         this.options = options;
+        this.languages = resolveLanguages(options.languages);
+        this.logger = logging.createLogger(options);
+    }
+
+    /**
+     * The rules that can create a dependency: The sass rules (See {@link RULES}), the rules of the other `languages`
+     * (e.g. `require` of Stylus) and the names of the `extractors` option.
+     * @return {Array<string>}
+     */
+    getRules() {
+        let rules = RULES.slice();
+        for (let language of this.languages) {
+            language.rules.filter(rule => !rules.includes(rule)).forEach(rule => rules.push(rule));
+        }
+        return rules.concat((this.options.extractors || []).map(extractor => extractor.name));
     }
 
     /**
      * Adds a direct dependency to the tracking for a file.
+     * Dependencies added this way are kept when the file is re-inspected. (See {@link replaceDependencies})
      *
      * @param sourceFile {Vinyl|Map|string|object} The file that has the dependency. File-like by: {@link fileArgumentToNormalizedPath}
      * @param dependencyFile {Vinyl|Map|string|object} The file that is the dependency File-like by: {@link fileArgumentToNormalizedPath}
+     * @param rule {string} The kind of rule that created the dependency. One of {@link getRules}.
+     * @param url {string|null} The url used by the rule. Needed to re-resolve the dependency once it has been removed.
+     * @param origin {string} Where the dependency comes from. Only dependencies of the origin `inspect` are replaced on re-inspection.
      * @return {void}
      */
-    addDependency(sourceFile, dependencyFile) {
+    addDependency(sourceFile, dependencyFile, rule = 'import', url = null, origin = 'manual') {
         let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
         let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
 
-        if (this[_isDebug]() && !this[_isOutputSuppressed]()) {
-            logging.log.info(logging.colors.debug(`Dependency added: ${sourceFilePath} => ${dependencyPath}`));
-        }
-
-        let entry = this[_getOrCreateEntry](sourceFilePath);
-        entry.get('dependencies').push(dependencyPath);
+        this[_addEdge](sourceFilePath, dependencyPath, rule, origin, url);
     }
 
     /**
@@ -94,18 +144,371 @@ class SassDependencyTree {
         let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
         let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
 
-        if (this[_isDebug]() && !this[_isOutputSuppressed]()) {
-            logging.log.info(logging.colors.debug(`Dependency removed: ${sourceFilePath} =/=> ${dependencyPath}`));
+        this[_removeEdge](sourceFilePath, dependencyPath);
+    }
+
+    /**
+     * Replaces the dependencies a file has from a particular origin with a new set.
+     * Used when a file is (re-)inspected: Its previously inspected dependencies are swapped for exactly the ones given.
+     * Dependencies from other origins (e.g. {@link addDependency}) are kept.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file that has the dependencies. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param dependencies {Array<{path: (Vinyl|Map|string|object), rule: string, url: (string|undefined)}>} The new dependencies of that origin.
+     * @param origin {string} Where the dependencies come from.
+     * @return {void}
+     */
+    replaceDependencies(sourceFile, dependencies, origin = 'inspect') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        let replacements = dependencies.map(dependency => ({
+            path: fileArgumentToNormalizedPath(dependency.path),
+            rule: dependency.rule || 'import',
+            url: dependency.url || null,
+        }));
+        let replacementPaths = replacements.map(dependency => dependency.path);
+
+        for (let [dependencyPath, edge] of Array.from(entry.get('edges'))) {
+            if (!edge.origins.has(origin)) {
+                continue;
+            }
+
+            edge.origins.delete(origin);
+            if (edge.origins.size === 0 && !replacementPaths.includes(dependencyPath)) {
+                this[_removeEdge](sourceFilePath, dependencyPath);
+            } else if (edge.origins.size === 0) {
+                edge.rules.clear();
+                edge.urls.clear();
+            }
         }
 
+        for (let dependency of replacements) {
+            this[_addEdge](sourceFilePath, dependency.path, dependency.rule, origin, dependency.url);
+        }
+    }
+
+    /**
+     * Records an import of a file that could not be resolved.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file containing the import. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param unresolvedImport {{url: string, rule: string, line: (number|undefined), column: (number|undefined)}} The import.
+     * @param origin {string} Where the import comes from. (e.g. `manual` or `inspect`)
+     * @return {void}
+     */
+    addUnresolved(sourceFile, unresolvedImport, origin = 'manual') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let unresolved = this[_getOrCreateEntry](sourceFilePath).get('unresolved');
+        let record = {
+            url: unresolvedImport.url,
+            rule: unresolvedImport.rule || 'import',
+            line: unresolvedImport.line,
+            column: unresolvedImport.column,
+            origin,
+        };
+
+        if (!unresolved.some(known => known.url === record.url && known.rule === record.rule)) {
+            unresolved.push(record);
+            this.emit('unresolved-import', Object.assign({file: sourceFilePath}, record));
+        }
+    }
+
+    /**
+     * Replaces the unresolved imports of a file from a particular origin with a new set.
+     * Counterpart of {@link replaceDependencies} for imports that could not be resolved.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file containing the imports. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param unresolvedImports {Array<{url: string, rule: string}>} The new unresolved imports of that origin.
+     * @param origin {string} Where the imports come from.
+     * @return {void}
+     */
+    replaceUnresolved(sourceFile, unresolvedImports, origin = 'inspect') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
         let entry = this[_getOrCreateEntry](sourceFilePath);
-        let directDependencies = entry.get('dependencies');
-        let dependencyIndex = directDependencies.indexOf(dependencyPath);
-        if (dependencyIndex >= 0) {
-            directDependencies.remove(dependencyIndex);
+        entry.set('unresolved', entry.get('unresolved').filter(known => known.origin !== origin));
+
+        for (let unresolvedImport of unresolvedImports) {
+            this.addUnresolved(sourceFilePath, unresolvedImport, origin);
         }
     }
 
+    /**
+     * Forgets an unresolved import. (e.g. once it has been resolved)
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file containing the import. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param url {string} The url of the import.
+     * @return {void}
+     */
+    removeUnresolved(sourceFile, url) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        entry.set('unresolved', entry.get('unresolved').filter(known => known.url !== url));
+    }
+
+    /**
+     * Lists imports that could not be resolved.
+     *
+     * @param sourceFile {Vinyl|Map|string|object|null} The file containing the imports or null for all files. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array<{file: string, url: string, rule: string, origin: string}>} The unresolved imports.
+     */
+    getUnresolved(sourceFile = null) {
+        let sourceFilePaths = sourceFile !== null ? [fileArgumentToNormalizedPath(sourceFile)] : this.getFiles();
+        let unresolved = [];
+
+        for (let sourceFilePath of sourceFilePaths) {
+            let entry = this.internalTree.get(sourceFilePath);
+            for (let record of entry !== undefined ? entry.get('unresolved') : []) {
+                unresolved.push(Object.assign({file: sourceFilePath}, record));
+            }
+        }
+        return unresolved;
+    }
+
+    /**
+     * Records an import whose target is only known at compile time. (e.g. `@import 'themes/#{$theme}'`)
+     * Such imports cannot be tracked. Their targets may be declared by a `// @sass-deps:` comment instead.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file containing the import. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param dynamicImport {{url: string, rule: string, line: (number|undefined), column: (number|undefined)}} The import.
+     * @param origin {string} Where the import comes from. (e.g. `manual` or `inspect`)
+     * @return {void}
+     */
+    addDynamicImport(sourceFile, dynamicImport, origin = 'manual') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let dynamic = this[_getOrCreateEntry](sourceFilePath).get('dynamic');
+        let record = {
+            url: dynamicImport.url,
+            rule: dynamicImport.rule || 'import',
+            line: dynamicImport.line,
+            column: dynamicImport.column,
+            origin,
+        };
+
+        if (!dynamic.some(known => known.url === record.url && known.rule === record.rule)) {
+            dynamic.push(record);
+            this.emit('dynamic-import', Object.assign({file: sourceFilePath}, record));
+        }
+    }
+
+    /**
+     * Replaces the dynamic imports of a file from a particular origin with a new set.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file containing the imports. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param dynamicImports {Array<{url: string, rule: string}>} The new dynamic imports of that origin.
+     * @param origin {string} Where the imports come from.
+     * @return {void}
+     */
+    replaceDynamicImports(sourceFile, dynamicImports, origin = 'inspect') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        entry.set('dynamic', entry.get('dynamic').filter(known => known.origin !== origin));
+
+        for (let dynamicImport of dynamicImports) {
+            this.addDynamicImport(sourceFilePath, dynamicImport, origin);
+        }
+    }
+
+    /**
+     * Lists imports with an unknown target.
+     *
+     * @param sourceFile {Vinyl|Map|string|object|null} The file containing the imports or null for all files. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array<{file: string, url: string, rule: string, origin: string}>} The dynamic imports.
+     */
+    getDynamicImports(sourceFile = null) {
+        let sourceFilePaths = sourceFile !== null ? [fileArgumentToNormalizedPath(sourceFile)] : this.getFiles();
+        let dynamic = [];
+
+        for (let sourceFilePath of sourceFilePaths) {
+            let entry = this.internalTree.get(sourceFilePath);
+            for (let record of entry !== undefined ? entry.get('dynamic') : []) {
+                dynamic.push(Object.assign({file: sourceFilePath}, record));
+            }
+        }
+        return dynamic;
+    }
+
+    /**
+     * Records a glob a file depends on. Files added later on are matched against it. (See {@link findGlobDependents})
+     * The files currently matching have to be added as dependencies separately.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file that has the dependency. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param pattern {string} The absolute glob.
+     * @param rule {string} The kind of rule that declared the glob. One of {@link getRules}.
+     * @param url {string|null} The glob as written in the file.
+     * @param origin {string} Where the glob comes from. (e.g. `manual` or `inspect`)
+     * @return {void}
+     */
+    addGlobDependency(sourceFile, pattern, rule = 'pragma', url = null, origin = 'manual') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let globs = this[_getOrCreateEntry](sourceFilePath).get('globs');
+        let normalizedPattern = path.normalize(pattern);
+
+        if (!globs.some(known => known.pattern === normalizedPattern && known.rule === rule)) {
+            globs.push({pattern: normalizedPattern, rule, url: url || pattern, origin});
+        }
+    }
+
+    /**
+     * Replaces the globs of a file from a particular origin with a new set.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file that has the dependencies. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param globs {Array<{pattern: string, rule: string, url: (string|undefined)}>} The new globs of that origin.
+     * @param origin {string} Where the globs come from.
+     * @return {void}
+     */
+    replaceGlobDependencies(sourceFile, globs, origin = 'inspect') {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        entry.set('globs', entry.get('globs').filter(known => known.origin !== origin));
+
+        for (let glob of globs) {
+            this.addGlobDependency(sourceFilePath, glob.pattern, glob.rule, glob.url, origin);
+        }
+    }
+
+    /**
+     * Lists the globs files depend on.
+     *
+     * @param sourceFile {Vinyl|Map|string|object|null} The file that has the dependencies or null for all files. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array<{file: string, pattern: string, rule: string, url: string, origin: string}>}
+     */
+    getGlobDependencies(sourceFile = null) {
+        let sourceFilePaths = sourceFile !== null ? [fileArgumentToNormalizedPath(sourceFile)] : this.getFiles();
+        let globs = [];
+
+        for (let sourceFilePath of sourceFilePaths) {
+            let entry = this.internalTree.get(sourceFilePath);
+            for (let record of entry !== undefined ? entry.get('globs') : []) {
+                globs.push(Object.assign({file: sourceFilePath}, record));
+            }
+        }
+        return globs;
+    }
+
+    /**
+     * Finds the globs matching a file. (e.g. to add a new file to the files depending on it)
+     *
+     * @param dependencyFile {Vinyl|Map|string|object} The file to match. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array<{file: string, pattern: string, rule: string, url: string, origin: string}>} The globs of other files matching it.
+     */
+    findGlobDependents(dependencyFile) {
+        let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
+        return this.getGlobDependencies()
+            .filter(glob => glob.file !== dependencyPath && minimatch(dependencyPath, glob.pattern, {dot: true}));
+    }
+
+    /**
+     * Removes a file from the tree. (e.g. because it has been deleted)
+     * All files depending on it are marked for recompilation.
+     * Their imports of the removed file are recorded as unresolved so they can be resolved again once a replacement appears.
+     * Files matched by a glob (See {@link addGlobDependency}) are simply dropped from it.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The removed file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {void}
+     */
+    removeFile(sourceFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        // Files only known as a dependency (e.g. partials outside of the stream or assets) have no entry of their own.
+        if (!this.internalTree.has(sourceFilePath) && !this.internalDependents.has(sourceFilePath)) {
+            return;
+        }
+
+        this.logger.debug(`Removing file: ${sourceFilePath}`, {event: 'file-removed', file: sourceFilePath});
+
+        this.markAsNotCompiled(sourceFilePath, 'removed');
+
+        for (let dependent of Array.from(this.internalDependents.get(sourceFilePath) || [])) {
+            let edge = this.internalTree.get(dependent).get('edges').get(sourceFilePath);
+            let origin = edge.origins.has('inspect') ? 'inspect' : 'manual';
+            let urls = edge.urls.size > 0 ? Array.from(edge.urls) : [sourceFilePath];
+            let isGlobMatch = this.findGlobDependents(sourceFilePath).some(glob => glob.file === dependent);
+
+            for (let url of isGlobMatch ? [] : urls) {
+                this.addUnresolved(dependent, {url, rule: Array.from(edge.rules)[0]}, origin);
+            }
+            this[_removeEdge](dependent, sourceFilePath);
+        }
+
+        let entry = this.internalTree.get(sourceFilePath);
+        for (let dependency of entry !== undefined ? Array.from(entry.get('dependencies')) : []) {
+            this[_removeEdge](sourceFilePath, dependency);
+        }
+        this.internalTree.delete(sourceFilePath);
+    }
+
+    /**
+     * Lists the files depending on a particular file.
+     *
+     * @param dependencyFile {Vinyl|Map|string|object} The file that is the dependency. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param deep {boolean} Whether or not to recursively look up the files depending on the dependents and add them to the result.
+     * @return {Array} Of normalized string paths. The files depending on that file. Duplications will be filtered!
+     */
+    getDependents(dependencyFile, deep = false) {
+        let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
+        let dependents = [];
+        let aggregator = (file) => {
+            // Filter possible duplications.
+            if (!dependents.includes(file)) {
+                dependents.push(file);
+            }
+        };
+
+        this[_getDependents](dependencyPath, aggregator, deep);
+        return dependents;
+    }
+
+    /**
+     * Finds circular dependencies in the tree.
+     * Reports one cycle for each group of files that (transitively) depend on each other.
+     *
+     * @param sourceFile {Vinyl|Map|string|object|null} Optional file the cycles have to pass through. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array<Array<string>>} The cycles as paths of normalized file paths. The first file is repeated at the end. (e.g. `[a, b, a]`)
+     */
+    findCycles(sourceFile = null) {
+        let sourceFilePath = sourceFile !== null ? fileArgumentToNormalizedPath(sourceFile) : null;
+        let cycles = [];
+
+        for (let component of this[_findStronglyConnected]()) {
+            let first = Array.from(component)[0];
+            let entry = this.internalTree.get(first);
+            let isCycle = component.size > 1 || (entry !== undefined && entry.get('edges').has(first));
+            if (!isCycle || (sourceFilePath !== null && !component.has(sourceFilePath))) {
+                continue;
+            }
+
+            let start = sourceFilePath !== null ? sourceFilePath : Array.from(component).sort()[0];
+            cycles.push(this[_findCyclePath](start, component));
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Lists the kinds of rules (`import`, `use` or `forward`) through which a file depends on another file.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file that has the dependency. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param dependencyFile {Vinyl|Map|string|object} The file that is the dependency File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array} Of rule names. Empty when there is no direct dependency between those files.
+     */
+    getDependencyRules(sourceFile, dependencyFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
+        let edges = this[_getOrCreateEntry](sourceFilePath).get('edges');
+        return edges.has(dependencyPath) ? Array.from(edges.get(dependencyPath).rules) : [];
+    }
+
+    /**
+     * Lists where the direct dependency between two files comes from. (e.g. `manual`, `inspect` or `compiler`)
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The file that has the dependency. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param dependencyFile {Vinyl|Map|string|object} The file that is the dependency File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Array} Of origins. Empty when there is no direct dependency between those files.
+     */
+    getDependencyOrigins(sourceFile, dependencyFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let dependencyPath = fileArgumentToNormalizedPath(dependencyFile);
+        let edges = this[_getOrCreateEntry](sourceFilePath).get('edges');
+        return edges.has(dependencyPath) ? Array.from(edges.get(dependencyPath).origins) : [];
+    }
+
     /**
      * Lists the dependencies of a particular file.
      *
@@ -137,41 +540,108 @@ class SassDependencyTree {
         let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
         let entry = this[_getOrCreateEntry](sourceFilePath);
 
-        if (this[_isDebug]() && !this[_isOutputSuppressed]()) {
-            logging.log.info(logging.colors.debug(`AsCompiled: ${sourceFilePath}`));
-        }
+        this.logger.debug(`AsCompiled: ${sourceFilePath}`, {event: 'compiled', file: sourceFilePath});
 
         entry.set('recompile', false);
+        entry.set('cause', null);
+        entry.set('failure', null);
+        this.emit('compiled', {file: sourceFilePath});
     }
 
     /**
-     * Sets a files state to "not compiled" meaning that it should be included on the next compile run.
-     * Will also mark all files dependent on this file as "not compiled"
+     * Marks a file as failed to compile. It stays "not compiled" until it is marked as compiled again.
+     * Unlike {@link markAsNotCompiled}, the files depending on it are left untouched.
      *
      * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param message {string} The error message of the compiler.
      * @return {void}
      */
-    markAsNotCompiled(sourceFile) {
+    markAsFailed(sourceFile, message) {
         let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
         let entry = this[_getOrCreateEntry](sourceFilePath);
+
+        this.logger.debug(`AsFailed: ${sourceFilePath}`, {event: 'failed', file: sourceFilePath, reason: message});
+
         entry.set('recompile', true);
+        entry.set('cause', {origin: sourceFilePath, path: [sourceFilePath], reason: 'compilation failed'});
+        entry.set('failure', message);
+        this.emit('failed', {file: sourceFilePath, message});
+    }
 
-        if (this[_isDebug]() && !this[_isOutputSuppressed]()) {
-            logging.log.info(logging.colors.debug(`Marking for recompilation: ${sourceFilePath}`));
+    /**
+     * Forgets the failure of a file without changing its compile state. (e.g. once a file importing it compiled fine)
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {void}
+     */
+    clearFailure(sourceFile) {
+        let entry = this.internalTree.get(fileArgumentToNormalizedPath(sourceFile));
+        if (entry !== undefined) {
+            entry.set('failure', null);
         }
+    }
 
-        let dependingFiles = [];
-        this.internalTree.forEach((value, key) => {
-            let dependencies = value.get('dependencies');
-            if (dependencies.indexOf(sourceFilePath) >= 0
-                && value.get('recompile') === false) {
-                dependingFiles.push(key);
+    /**
+     * Retrieves the error message of the last failed compilation of a file.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {string|null} The message or null if the file has not failed.
+     */
+    getFailure(sourceFile) {
+        let entry = this.internalTree.get(fileArgumentToNormalizedPath(sourceFile));
+        return entry !== undefined ? entry.get('failure') : null;
+    }
+
+    /**
+     * Lists all files that failed to compile.
+     *
+     * @return {Array<{file: string, message: string}>}
+     */
+    getFailures() {
+        let failures = [];
+        this.internalTree.forEach((entry, filePath) => {
+            if (entry.get('failure') !== null) {
+                failures.push({file: filePath, message: entry.get('failure')});
             }
         });
+        return failures;
+    }
 
-        for (let dependent of dependingFiles) {
-            this.markAsNotCompiled(dependent);
+    /**
+     * Sets a files state to "not compiled" meaning that it should be included on the next compile run.
+     * Will also mark all files dependent on this file as "not compiled"
+     * The cause is recorded for each of those files. (See {@link getInvalidationCause})
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param reason {string} Why the file has to be recompiled. (e.g. `changed` or `removed`)
+     * @param originFile {Vinyl|Map|string|object|null} Optional file the source file depends on that caused the recompilation.
+     *                   Its own cause is passed on through the import chain. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {void}
+     */
+    markAsNotCompiled(sourceFile, reason = 'changed', originFile = null) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        if (originFile === null) {
+            return this[_invalidate](sourceFilePath, [sourceFilePath], reason);
         }
+
+        let originPath = fileArgumentToNormalizedPath(originFile);
+        let originCause = this.getInvalidationCause(originPath);
+        let chain = this[_findDependentPath](originPath, sourceFilePath);
+        let propagationPath = (originCause !== null ? originCause.path : [originPath]).concat(chain.slice(1));
+        this[_invalidate](sourceFilePath, propagationPath, originCause !== null ? originCause.reason : reason);
+    }
+
+    /**
+     * Retrieves why a file has been marked for recompilation.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {{origin: string, path: Array<string>, reason: string}|null} The originating file, the import chain from it
+     *         to the file and the reason. Null if the file is compiled or has not been compiled yet.
+     */
+    getInvalidationCause(sourceFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        let entry = this.internalTree.get(sourceFilePath);
+        return entry !== undefined ? entry.get('cause') : null;
     }
 
     /**
@@ -186,12 +656,188 @@ class SassDependencyTree {
         return entry.get('recompile') === false;
     }
 
+    /**
+     * Stores the fingerprint of the version of a file that has been inspected or compiled.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param fingerprint {Object|null} The fingerprint. (see fingerprint.js)
+     * @return {void}
+     */
+    setFingerprint(sourceFile, fingerprint) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        this[_getOrCreateEntry](sourceFilePath).set('fingerprint', fingerprint);
+    }
+
+    /**
+     * Retrieves the fingerprint stored by {@link setFingerprint}.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {Object|null} The fingerprint or null if none has been stored.
+     */
+    getFingerprint(sourceFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        return this[_getOrCreateEntry](sourceFilePath).get('fingerprint');
+    }
+
+    /**
+     * Stores the hash of the contents of a file as they have been seen the last time.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param hash {string|null} The hash. (see fingerprint.js)
+     * @return {void}
+     */
+    setContentHash(sourceFile, hash) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        this[_getOrCreateEntry](sourceFilePath).set('hash', hash);
+    }
+
+    /**
+     * Retrieves the hash stored by {@link setContentHash}.
+     *
+     * @param sourceFile {Vinyl|Map|string|object} The source file. File-like by: {@link fileArgumentToNormalizedPath}
+     * @return {string|null} The hash or null if none has been stored.
+     */
+    getContentHash(sourceFile) {
+        let sourceFilePath = fileArgumentToNormalizedPath(sourceFile);
+        return this[_getOrCreateEntry](sourceFilePath).get('hash');
+    }
+
+    /**
+     * Lists the normalized paths of all files known to the tree.
+     *
+     * @return {Array} Of normalized string paths.
+     */
+    getFiles() {
+        return Array.from(this.internalTree.keys());
+    }
+
+    /**
+     * Builds the dependency graph of the whole tree or of the subgraph rooted at a file.
+     * Each node carries its compile state: `compiled`, `dirty` or `untracked` (only known as a dependency).
+     *
+     * @param rootFile {Vinyl|Map|string|object|null} Optional root of the subgraph. File-like by: {@link fileArgumentToNormalizedPath}
+     * @param direction {string} Whether the subgraph follows the `dependencies` or the `dependents` of the root.
+     * @return {{nodes: Array<{path: string, state: string}>, edges: Array<{from: string, to: string, rules: Array<string>}>}}
+     *         The graph with normalized absolute paths.
+     */
+    getGraph(rootFile = null, direction = 'dependencies') {
+        if (!['dependencies', 'dependents'].includes(direction)) {
+            throw new Error(`Unknown graph direction: ${direction}`);
+        }
+
+        let files;
+        if (rootFile !== null) {
+            let rootPath = fileArgumentToNormalizedPath(rootFile);
+            let reachable = direction === 'dependents' ? this.getDependents(rootPath, true) : this.getDependencies(rootPath, true);
+            files = new Set([rootPath].concat(reachable));
+        } else {
+            files = new Set(this.getFiles());
+            this.internalDependents.forEach((dependents, dependencyPath) => files.add(dependencyPath));
+        }
+
+        let nodes = Array.from(files).map(filePath => {
+            let entry = this.internalTree.get(filePath);
+            let state = entry === undefined ? 'untracked' : (entry.get('recompile') === false ? 'compiled' : 'dirty');
+            return {path: filePath, state};
+        });
+
+        let edges = [];
+        for (let filePath of files) {
+            let entry = this.internalTree.get(filePath);
+            if (entry === undefined) {
+                continue;
+            }
+            entry.get('edges').forEach((edge, dependencyPath) => {
+                if (files.has(dependencyPath)) {
+                    edges.push({from: filePath, to: dependencyPath, rules: Array.from(edge.rules)});
+                }
+            });
+        }
+        return {nodes, edges};
+    }
+
+    /**
+     * Serializes the dependency graph (see {@link getGraph}) with paths relative to a base path in a stable order.
+     *
+     * @param options {{format: string, root: (Vinyl|Map|string|object|null), direction: string, basePath: (string|null)}}
+     *                `format` is one of `json`, `dot` (Graphviz) or `mermaid`. `basePath` defaults to the working directory.
+     * @return {string}
+     */
+    exportGraph(options = {format: 'json', root: null, direction: 'dependencies', basePath: null}) {
+        let graph = this.getGraph(options.root || null, options.direction || 'dependencies');
+        let basePath = path.normalize(path.resolve(options.basePath || process.cwd()));
+        return serializeGraph(graph, options.format || 'json', basePath);
+    }
+
+    /**
+     * Exports the whole tree including the compile states as a JSON-serializable object.
+     *
+     * @return {{files: Object}} The state to be restored by {@link importState}.
+     */
+    exportState() {
+        let files = {};
+        this.internalTree.forEach((entry, key) => {
+            files[key] = {
+                compiled: entry.get('recompile') === false,
+                fingerprint: entry.get('fingerprint'),
+                hash: entry.get('hash'),
+                dependencies: Array.from(entry.get('edges')).map(([dependencyPath, edge]) => ({
+                    path: dependencyPath,
+                    rules: Array.from(edge.rules),
+                    origins: Array.from(edge.origins),
+                    urls: Array.from(edge.urls),
+                })),
+                unresolved: entry.get('unresolved'),
+                cause: entry.get('cause'),
+                failure: entry.get('failure'),
+                dynamic: entry.get('dynamic'),
+                globs: entry.get('globs'),
+            };
+        });
+        return {files};
+    }
+
+    /**
+     * Replaces the whole tree with a state exported by {@link exportState}.
+     *
+     * @param state {{files: Object}}
+     * @return {void}
+     */
+    importState(state) {
+        this.clear();
+
+        for (let filePath of Object.keys(state.files)) {
+            let file = state.files[filePath];
+            let entry = this[_getOrCreateEntry](filePath);
+            entry.set('recompile', file.compiled !== true);
+            entry.set('fingerprint', file.fingerprint || null);
+            entry.set('hash', file.hash || null);
+
+            for (let dependency of file.dependencies) {
+                for (let rule of dependency.rules) {
+                    for (let origin of dependency.origins) {
+                        this[_addEdge](filePath, dependency.path, rule, origin);
+                    }
+                }
+                for (let url of dependency.urls || []) {
+                    entry.get('edges').get(dependency.path).urls.add(url);
+                }
+            }
+            entry.set('unresolved', file.unresolved || []);
+            entry.set('cause', file.cause || null);
+            entry.set('failure', file.failure || null);
+            entry.set('dynamic', file.dynamic || []);
+            entry.set('globs', file.globs || []);
+        }
+    }
+
     /**
      * Clears all dependencies from the internal representation.
      * @return {void}
      */
     clear() {
         this.internalTree.clear();
+        this.internalDependents.clear();
     }
 
     /**
@@ -209,14 +855,6 @@ class SassDependencyTree {
 
     // --- Private methods --- //
 
-    [_isDebug]() {
-        return this.options.debug || false;
-    }
-
-    [_isOutputSuppressed]() {
-        return this.options.suppressOutput || false;
-    }
-
     /**
      * Retrieve an entry from the internal representation.
      * When the entry does not exists, add it and return the newly created one.
@@ -232,6 +870,14 @@ class SassDependencyTree {
             entry.set('recompile', true);
             entry.set('path', normalizedPath);
             entry.set('dependencies', []);
+            entry.set('edges', new Map());
+            entry.set('fingerprint', null);
+            entry.set('hash', null);
+            entry.set('unresolved', []);
+            entry.set('cause', null);
+            entry.set('failure', null);
+            entry.set('dynamic', []);
+            entry.set('globs', []);
             this.internalTree.set(normalizedPath, entry);
         } else {
             entry = this.internalTree.get(normalizedPath, entry);
@@ -240,6 +886,116 @@ class SassDependencyTree {
         return entry;
     }
 
+    /**
+     * Marks a file for recompilation and propagates that to the compiled files depending on it.
+     *
+     * @param normalizedPath {string}
+     * @param propagationPath {Array<string>} The files the invalidation went through. Starts with the originating file and ends with this one.
+     * @param reason {string} Why the originating file has to be recompiled.
+     * @return {void}
+     */
+    [_invalidate](normalizedPath, propagationPath, reason) {
+        let entry = this[_getOrCreateEntry](normalizedPath);
+        entry.set('recompile', true);
+        entry.set('cause', {origin: propagationPath[0], path: propagationPath, reason});
+
+        this.logger.debug(`Marking for recompilation: ${normalizedPath}`, {
+            event: 'invalidated',
+            file: normalizedPath,
+            origin: propagationPath[0],
+            reason,
+        });
+        this.emit('invalidated', {file: normalizedPath, origin: propagationPath[0], path: propagationPath, reason});
+
+        let dependingFiles = this.internalDependents.get(normalizedPath) || new Set();
+        for (let dependent of Array.from(dependingFiles)) {
+            if (this.internalTree.get(dependent).get('recompile') === false) {
+                this[_invalidate](dependent, propagationPath.concat([dependent]), reason);
+            }
+        }
+    }
+
+    /**
+     * Adds a dependency or extends an existing one by the rule and origin.
+     *
+     * @param sourceFilePath {string} Normalized path of the file that has the dependency.
+     * @param dependencyPath {string} Normalized path of the dependency.
+     * @param rule {string} One of {@link getRules}.
+     * @param origin {string} Where the dependency comes from. (e.g. `manual` or `inspect`)
+     * @param url {string|null} The url used by the rule.
+     * @return {void}
+     */
+    [_addEdge](sourceFilePath, dependencyPath, rule, origin, url = null) {
+        if (!this.getRules().includes(rule)) {
+            throw new Error(`Unknown dependency rule: ${rule}`);
+        }
+
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        let edges = entry.get('edges');
+        let isNewEdge = !edges.has(dependencyPath);
+
+        if (isNewEdge) {
+            this.logger.debug(`Dependency added (@${rule}): ${sourceFilePath} => ${dependencyPath}`, {
+                event: 'dependency-added',
+                file: sourceFilePath,
+                dependency: dependencyPath,
+                rule,
+            });
+
+            entry.get('dependencies').push(dependencyPath);
+            edges.set(dependencyPath, {rules: new Set(), origins: new Set(), urls: new Set()});
+
+            if (!this.internalDependents.has(dependencyPath)) {
+                this.internalDependents.set(dependencyPath, new Set());
+            }
+            this.internalDependents.get(dependencyPath).add(sourceFilePath);
+        }
+
+        let edge = edges.get(dependencyPath);
+        edge.rules.add(rule);
+        edge.origins.add(origin);
+        if (url !== null) {
+            edge.urls.add(url);
+        }
+
+        if (isNewEdge) {
+            this.emit('dependency-added', {file: sourceFilePath, dependency: dependencyPath, rule, origin, url});
+        }
+    }
+
+    /**
+     * Removes a dependency regardless of its origins.
+     *
+     * @param sourceFilePath {string} Normalized path of the file that has the dependency.
+     * @param dependencyPath {string} Normalized path of the dependency.
+     * @return {void}
+     */
+    [_removeEdge](sourceFilePath, dependencyPath) {
+        let entry = this[_getOrCreateEntry](sourceFilePath);
+        let directDependencies = entry.get('dependencies');
+        let dependencyIndex = directDependencies.indexOf(dependencyPath);
+
+        if (dependencyIndex >= 0) {
+            this.logger.debug(`Dependency removed: ${sourceFilePath} =/=> ${dependencyPath}`, {
+                event: 'dependency-removed',
+                file: sourceFilePath,
+                dependency: dependencyPath,
+            });
+
+            directDependencies.splice(dependencyIndex, 1);
+            this.emit('dependency-removed', {file: sourceFilePath, dependency: dependencyPath});
+        }
+        entry.get('edges').delete(dependencyPath);
+
+        let dependents = this.internalDependents.get(dependencyPath);
+        if (dependents !== undefined) {
+            dependents.delete(sourceFilePath);
+            if (dependents.size === 0) {
+                this.internalDependents.delete(dependencyPath);
+            }
+        }
+    }
+
     /**
      * Retrieve all dependencies for a given source file.
      * Supports recursively getting transitive dependencies.
@@ -247,24 +1003,173 @@ class SassDependencyTree {
      * @param normalizedPath {string}
      * @param aggregator {Function<string>} Will be called with the found dependencies as parameter. Duplicates are not prevented!
      * @param deep {boolean} Whether or not to include transitive dependencies
+     * @param visited {Set} Files whose dependencies have already been retrieved. Prevents endless recursion on circular imports.
      * @return {void}
      */
-    [_getDependencies](normalizedPath, aggregator, deep = false) {
+    [_getDependencies](normalizedPath, aggregator, deep = false, visited = new Set()) {
         if (aggregator === undefined || aggregator === null || (typeof aggregator) !== 'function') {
             throw new Error('Cannot aggregate on non-function');
         }
 
         let entry = this[_getOrCreateEntry](normalizedPath);
         let dependencies = entry.get('dependencies');
+        visited.add(normalizedPath);
 
         for (let dependency of dependencies) {
             aggregator(dependency);
 
-            if (deep === true) {
-                this[_getDependencies](dependency, aggregator, deep);
+            if (deep === true && !visited.has(dependency)) {
+                this[_getDependencies](dependency, aggregator, deep, visited);
+            }
+        }
+    }
+
+    /**
+     * Retrieve all files depending on a given file.
+     * Supports recursively getting transitive dependents.
+     *
+     * @param normalizedPath {string}
+     * @param aggregator {Function<string>} Will be called with the found dependents as parameter. Duplicates are not prevented!
+     * @param deep {boolean} Whether or not to include transitive dependents
+     * @param visited {Set} Files whose dependents have already been retrieved. Prevents endless recursion on circular imports.
+     * @return {void}
+     */
+    [_getDependents](normalizedPath, aggregator, deep = false, visited = new Set()) {
+        if (aggregator === undefined || aggregator === null || (typeof aggregator) !== 'function') {
+            throw new Error('Cannot aggregate on non-function');
+        }
+
+        let dependents = this.internalDependents.get(normalizedPath) || new Set();
+        visited.add(normalizedPath);
+
+        for (let dependent of dependents) {
+            aggregator(dependent);
+
+            if (deep === true && !visited.has(dependent)) {
+                this[_getDependents](dependent, aggregator, deep, visited);
             }
         }
     }
+
+    /**
+     * Groups the files of the tree into strongly connected components. (Tarjan's algorithm)
+     * Each file of a component can reach every other file of the same component.
+     *
+     * @return {Array<Set<string>>} The components.
+     */
+    [_findStronglyConnected]() {
+        let components = [];
+        let indices = new Map();
+        let lowLinks = new Map();
+        let stack = [];
+        let onStack = new Set();
+
+        let connect = (filePath) => {
+            indices.set(filePath, indices.size);
+            lowLinks.set(filePath, indices.get(filePath));
+            stack.push(filePath);
+            onStack.add(filePath);
+
+            let entry = this.internalTree.get(filePath);
+            for (let dependency of entry !== undefined ? entry.get('dependencies') : []) {
+                if (!indices.has(dependency)) {
+                    connect(dependency);
+                    lowLinks.set(filePath, Math.min(lowLinks.get(filePath), lowLinks.get(dependency)));
+                } else if (onStack.has(dependency)) {
+                    lowLinks.set(filePath, Math.min(lowLinks.get(filePath), indices.get(dependency)));
+                }
+            }
+
+            if (lowLinks.get(filePath) === indices.get(filePath)) {
+                let component = new Set();
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.add(member);
+                } while (member !== filePath);
+                components.push(component);
+            }
+        };
+
+        for (let filePath of this.internalTree.keys()) {
+            if (!indices.has(filePath)) {
+                connect(filePath);
+            }
+        }
+        return components;
+    }
+
+    /**
+     * Finds the shortest import chain from a file to a file depending on it.
+     *
+     * @param dependencyPath {string} Normalized path of the dependency.
+     * @param dependentPath {string} Normalized path of the (transitively) depending file.
+     * @return {Array<string>} The chain starting with the dependency and ending with the dependent.
+     *         Just both files if the dependent does not depend on the dependency.
+     */
+    [_findDependentPath](dependencyPath, dependentPath) {
+        let predecessors = new Map([[dependencyPath, null]]);
+        let queue = [dependencyPath];
+
+        while (queue.length > 0) {
+            let current = queue.shift();
+            if (current === dependentPath) {
+                let chain = [];
+                for (let step = current; step !== null; step = predecessors.get(step)) {
+                    chain.unshift(step);
+                }
+                return chain;
+            }
+
+            for (let dependent of this.internalDependents.get(current) || []) {
+                if (!predecessors.has(dependent)) {
+                    predecessors.set(dependent, current);
+                    queue.push(dependent);
+                }
+            }
+        }
+        return [dependencyPath, dependentPath];
+    }
+
+    /**
+     * Finds the shortest path from a file back to itself within a strongly connected component.
+     *
+     * @param start {string} Normalized path of the file.
+     * @param component {Set<string>} The component containing the file.
+     * @return {Array<string>} The path, starting and ending with the given file.
+     */
+    [_findCyclePath](start, component) {
+        let predecessors = new Map();
+        let queue = [start];
+
+        while (queue.length > 0) {
+            let current = queue.shift();
+            for (let dependency of this.internalTree.get(current).get('dependencies')) {
+                if (!component.has(dependency)) {
+                    continue;
+                }
+
+                if (dependency === start) {
+                    let cyclePath = [start];
+                    for (let step = current; step !== start; step = predecessors.get(step)) {
+                        cyclePath.unshift(step);
+                    }
+                    cyclePath.unshift(start);
+                    return cyclePath;
+                }
+
+                if (!predecessors.has(dependency)) {
+                    predecessors.set(dependency, current);
+                    queue.push(dependency);
+                }
+            }
+        }
+        return [start, start];
+    }
 }
 
-module.exports = SassDependencyTree;
\ No newline at end of file
+SassDependencyTree.RULES = RULES;
+SassDependencyTree.EVENTS = EVENTS;
+
+module.exports = SassDependencyTree;
@@ -0,0 +1,107 @@
+'use strict';
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+const scanSassImports = require('./scan-sass-imports');
+
+/**
+ * Urls with a scheme (`https:`, `data:`, ...) or protocol-relative urls do not point to local files.
+ * @type {RegExp}
+ */
+const EXTERNAL_URL = /^(?:[a-z][\w+.-]*:|\/\/)/i;
+
+/**
+ * Resolves a url found by an extractor to a local file:
+ * Relative to the file containing it first, then relative to the load paths. Queries and fragments are ignored.
+ *
+ * @param url {string} The url.
+ * @param filePath {string} Normalized absolute path of the file containing the url.
+ * @param loadPaths {Array<string>} Normalized absolute load paths.
+ * @return {string|null} The normalized path of the file or null if there is no such file.
+ */
+function resolveAsset(url, filePath, loadPaths = []) {
+    let assetPath = url.replace(/[?#].*$/, '');
+    if (path.isAbsolute(assetPath)) {
+        return path.exists(assetPath) ? path.normalize(assetPath) : null;
+    }
+
+    for (let directory of [path.dirname(filePath)].concat(loadPaths)) {
+        let candidate = path.normalize(path.join(directory, assetPath));
+        if (path.exists(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates the function extracting the urls for an extractor with a pattern.
+ * The first capturing group of the pattern is the url. (The whole match without a group)
+ *
+ * @param pattern {RegExp}
+ * @return {Function} (func (contents, filePath) => Array<{url: string, line: number, column: number}>)
+ */
+function extractByPattern(pattern) {
+    return function (contents) {
+        let regExp = RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+        let locate = scanSassImports.createLocator(contents);
+        let found = [];
+        let match;
+
+        while ((match = regExp.exec(contents)) !== null) {
+            if (match[0] === '') {
+                regExp.lastIndex++;
+                continue;
+            }
+            let url = match[1] !== undefined ? match[1] : match[0];
+            found.push(Object.assign({url}, locate(match.index + match[0].indexOf(url))));
+        }
+        return found;
+    };
+}
+
+/**
+ * Validates and normalizes the extractors of the module options.
+ * Each extractor needs a `name` (used as the rule of its dependencies) and either
+ * * a `pattern` - A regular expression whose first capturing group is the url or
+ * * an `extract` function - Returning the urls (or `{url, line, column}`) for the contents and path of a file.
+ * An optional `resolve` function (`(url, filePath, loadPaths) => path|null`) replaces {@link resolveAsset}.
+ *
+ * @param extractors {Array<Object>} The extractors of the module options.
+ * @param reservedNames {Array<string>} Names that must not be used. (The sass rules)
+ * @return {Array<{name: string, extract: Function, resolve: Function}>}
+ * @throws {Error} On invalid extractors.
+ */
+function normalizeExtractors(extractors = [], reservedNames = []) {
+    let names = [];
+    return extractors.map(extractor => {
+        let name = extractor !== null && typeof extractor === 'object' ? extractor.name : undefined;
+        if (typeof name !== 'string' || name === '' || reservedNames.includes(name) || names.includes(name)) {
+            throw new Error(`Extractors need a unique name other than: ${reservedNames.join(', ')}. Got: ${name}`);
+        }
+        names.push(name);
+
+        let extract = extractor.extract;
+        if (extractor.pattern instanceof RegExp) {
+            extract = extractByPattern(extractor.pattern);
+        } else if (typeof extract !== 'function') {
+            throw new Error(`Extractor "${name}" needs a pattern or an extract function`);
+        }
+
+        return {
+            name,
+            extract: (contents, filePath) => extract(contents, filePath)
+                .map(found => typeof found === 'string' ? {url: found} : found)
+                .filter(found => !EXTERNAL_URL.test(found.url))
+                .map(found => ({rule: name, url: found.url, line: found.line, column: found.column})),
+            resolve: typeof extractor.resolve === 'function' ? extractor.resolve : resolveAsset,
+        };
+    });
+}
+
+module.exports = {
+    EXTERNAL_URL,
+    resolveAsset,
+    normalizeExtractors,
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+// General utilities
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Creates a fingerprint of a file on disk that changes whenever the file is modified.
+ *
+ * @param filePath {string} Normalized absolute path of the file.
+ * @param stat {fs.Stats|null} Optional already known stats of that file. (e.g. `Vinyl#stat`)
+ * @return {{mtime: number, size: number}|null} The fingerprint or null if the file does not exist.
+ */
+function fingerprintFile(filePath, stat = null) {
+    if (stat === null || stat === undefined || !stat.mtime) {
+        try {
+            stat = fs.statSync(filePath);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    return {
+        mtime: stat.mtime.getTime(),
+        size: stat.size,
+    };
+}
+
+/**
+ * Whether or not two fingerprints describe the same version of a file.
+ *
+ * @param a {{mtime: number, size: number}|null}
+ * @param b {{mtime: number, size: number}|null}
+ * @return {boolean}
+ */
+function isSameFingerprint(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    return a.mtime === b.mtime && a.size === b.size;
+}
+
+/**
+ * Creates a hash of file contents.
+ *
+ * @param contents {Buffer|string}
+ * @return {string} The hex encoded hash.
+ */
+function hashContents(contents) {
+    return crypto.createHash('sha1').update(contents).digest('hex');
+}
+
+/**
+ * Creates a hash of the contents of a file on disk.
+ *
+ * @param filePath {string} Normalized absolute path of the file.
+ * @return {string|null} The hex encoded hash or null if the file cannot be read.
+ */
+function hashFile(filePath) {
+    try {
+        return hashContents(fs.readFileSync(filePath));
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    fingerprintFile,
+    isSameFingerprint,
+    hashContents,
+    hashFile,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+// General utilities
+const posixPath = require('path').posix;
+
+/**
+ * The formats the dependency graph can be serialized to.
+ * @type {string[]}
+ */
+const FORMATS = ['json', 'dot', 'mermaid'];
+
+/**
+ * Fill colors of the node states in the rendered graphs.
+ * @type {Object<string, string>}
+ */
+const STATE_COLORS = {
+    compiled: '#c8e6c9',
+    dirty: '#ffcc80',
+    untracked: '#eeeeee',
+};
+
+/**
+ * Converts a normalized absolute path to a path relative to the base path.
+ * Files outside of the base path keep `../` segments.
+ *
+ * @param filePath {string} Normalized absolute path.
+ * @param basePath {string} Normalized absolute base path.
+ * @return {string}
+ */
+function toRelativePath(filePath, basePath) {
+    return posixPath.relative(basePath, filePath) || '.';
+}
+
+/**
+ * Sorts the nodes and edges of a graph and makes the paths relative so the output is stable between machines.
+ *
+ * @param graph {{nodes: Array<{path: string, state: string}>, edges: Array<{from: string, to: string, rules: Array<string>}>}}
+ * @param basePath {string} Normalized absolute path the paths are made relative to.
+ * @return {{nodes: Array<{path: string, state: string}>, edges: Array<{from: string, to: string, rules: Array<string>}>}}
+ */
+function toStableGraph(graph, basePath) {
+    let compare = (a, b) => a < b ? -1 : (a > b ? 1 : 0);
+    let nodes = graph.nodes
+        .map(node => ({path: toRelativePath(node.path, basePath), state: node.state}))
+        .sort((a, b) => compare(a.path, b.path));
+    let edges = graph.edges
+        .map(edge => ({from: toRelativePath(edge.from, basePath), to: toRelativePath(edge.to, basePath), rules: edge.rules.slice().sort()}))
+        .sort((a, b) => compare(a.from, b.from) || compare(a.to, b.to));
+    return {nodes, edges};
+}
+
+/**
+ * Escapes a string for a quoted Graphviz DOT id.
+ *
+ * @param value {string}
+ * @return {string}
+ */
+function quoteDot(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Serializes a stable graph to JSON.
+ *
+ * @param graph {Object} Graph returned by {@link toStableGraph}.
+ * @return {string}
+ */
+function toJson(graph) {
+    return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * Serializes a stable graph to Graphviz DOT. Nodes are filled with the color of their state.
+ *
+ * @param graph {Object} Graph returned by {@link toStableGraph}.
+ * @return {string}
+ */
+function toDot(graph) {
+    let lines = ['digraph "sass-dependencies" {', '    rankdir=LR;', '    node [shape=box, style=filled];'];
+    for (let node of graph.nodes) {
+        lines.push(`    ${quoteDot(node.path)} [label=${quoteDot(`${node.path}\n(${node.state})`)}, fillcolor=${quoteDot(STATE_COLORS[node.state])}];`);
+    }
+    for (let edge of graph.edges) {
+        lines.push(`    ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [label=${quoteDot(edge.rules.map(rule => `@${rule}`).join(', '))}];`);
+    }
+    lines.push('}');
+    return lines.join('\n');
+}
+
+/**
+ * Serializes a stable graph to a Mermaid flowchart. Nodes are styled with a class named after their state.
+ *
+ * @param graph {Object} Graph returned by {@link toStableGraph}.
+ * @return {string}
+ */
+function toMermaid(graph) {
+    let ids = new Map(graph.nodes.map((node, index) => [node.path, `n${index}`]));
+    let escape = value => value.replace(/"/g, '#quot;');
+    let lines = ['graph LR'];
+
+    for (let node of graph.nodes) {
+        lines.push(`    ${ids.get(node.path)}["${escape(node.path)}<br/>(${node.state})"]:::${node.state}`);
+    }
+    for (let edge of graph.edges) {
+        lines.push(`    ${ids.get(edge.from)} -->|"${edge.rules.map(rule => `@${rule}`).join(', ')}"| ${ids.get(edge.to)}`);
+    }
+    for (let state of Object.keys(STATE_COLORS)) {
+        lines.push(`    classDef ${state} fill:${STATE_COLORS[state]}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Serializes a dependency graph with relative paths in a stable order.
+ *
+ * @param graph {{nodes: Array<{path: string, state: string}>, edges: Array<{from: string, to: string, rules: Array<string>}>}}
+ *              The graph with normalized absolute paths.
+ * @param format {string} One of {@link FORMATS}.
+ * @param basePath {string} Normalized absolute path the paths are made relative to.
+ * @return {string}
+ */
+function serializeGraph(graph, format, basePath) {
+    let stableGraph = toStableGraph(graph, basePath);
+    switch (format) {
+        case 'json':
+            return toJson(stableGraph);
+        case 'dot':
+            return toDot(stableGraph);
+        case 'mermaid':
+            return toMermaid(stableGraph);
+        default:
+            throw new Error(`Unknown graph format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    serializeGraph,
+};
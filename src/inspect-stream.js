@@ -4,27 +4,49 @@
 const map = require('map-stream');
 
 /**
- * Invokes a callback for each regex match in the contents of the files in a stream.
+ * Invokes a callback for each match in the contents of the files in a stream.
  *
- * @param regExp The regular expression to match against.
+ * @param extractor {RegExp|Function} The regular expression to match against
+ *                                    or a function returning the matches for a file. (func (file) => Array)
  * @param matchCallback The function to invoke when a match has been found. (func (match, file))
+ *                      May return a promise to hold the file back until it is settled.
+ * @param fileCallback Optional function to invoke after all matches of a file have been handled.
+ *                     Receives the (settled) return values of the match callbacks. (func (file, results))
  * @returns {stream}
  */
 
-function inspect(regExp, matchCallback) {
+function inspect(extractor, matchCallback, fileCallback) {
     return map(function (file, strmCallback) {
+        let matches;
 
-        // Copy regex
-        regExp = RegExp(regExp.source, regExp.flags);
+        if (extractor instanceof RegExp) {
+            // Copy regex
+            let regExp = RegExp(extractor.source, extractor.flags);
 
-        let content = file.contents;
-        let match;
-        while (match = regExp.exec(content)) {
-            matchCallback(match, file);
+            let content = file.contents;
+            let match;
+            matches = [];
+            while (match = regExp.exec(content)) {
+                matches.push(match);
+            }
+        } else {
+            matches = extractor(file);
         }
 
-        return strmCallback(null, file);
+        let results = matches.map(match => matchCallback(match, file));
+        const complete = settledResults => {
+            if (fileCallback) {
+                fileCallback(file, settledResults);
+            }
+            return strmCallback(null, file);
+        };
+
+        if (results.some(result => result && typeof result.then === 'function')) {
+            Promise.all(results).then(complete).catch(error => strmCallback(error));
+            return;
+        }
+        return complete(results);
     });
 }
 
-module.exports = inspect;
\ No newline at end of file
+module.exports = inspect;
@@ -0,0 +1,246 @@
+'use strict';
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+const scanSassImports = require('./scan-sass-imports');
+const resolveSassImport = require('./resolve-sass-import');
+const {resolveLoadPaths} = require('./load-paths');
+const {EXTERNAL_URL} = require('./extractors');
+
+/**
+ * Whether or not a comment sequence of a Stylus file starts a comment:
+ * Unquoted `@import` and `@require` arguments may contain them as part of a path. (e.g. `@import mixins/*`)
+ *
+ * @param source {string}
+ * @param index {number} The index of the comment sequence.
+ * @return {boolean}
+ */
+function isStylusComment(source, index) {
+    let linePrefix = source.substring(source.lastIndexOf('\n', index - 1) + 1, index);
+    return !/^\s*@(?:import|require)\s+[^\s'"]+$/.test(linePrefix);
+}
+
+/**
+ * Finds the import statements of a language matched by a regular expression. Comments are skipped.
+ * Its groups are: 1 - What precedes the statement, 2 - The rule, 3 - Options in parentheses (optional), 4 - The quote and 5 - The url.
+ * The statements end with the closing quote, so `rest` holds what follows the url. (e.g. `+ variable`)
+ *
+ * @param contents {Buffer|string} The contents of the file.
+ * @param statement {RegExp} The global regular expression matching the statements.
+ * @param isComment {Function} Whether or not a comment sequence starts a comment. (See {@link scanSassImports.maskComments})
+ * @return {Array<{rule: string, url: string, line: number, column: number, options: Array<string>, quoted: boolean, rest: string}>}
+ */
+function matchStatements(contents, statement, isComment) {
+    let source = contents === null || contents === undefined ? '' : contents.toString();
+    let masked = scanSassImports.maskComments(source, isComment);
+    let locate = scanSassImports.createLocator(source);
+    let found = [];
+    let match;
+
+    let regExp = RegExp(statement.source, statement.flags);
+    while ((match = regExp.exec(masked)) !== null) {
+        let urlIndex = match.index + match[0].length - match[5].length - match[4].length;
+        let restEnd = masked.substring(regExp.lastIndex).search(/[;\n]/);
+        found.push(Object.assign({
+            rule: match[2],
+            url: match[5],
+            options: (match[3] || '').split(',').map(option => option.trim()).filter(option => option !== ''),
+            quoted: match[4] !== '',
+            rest: masked.substr(regExp.lastIndex, restEnd < 0 ? undefined : restEnd).trim(),
+        }, locate(urlIndex)));
+    }
+    return found;
+}
+
+/**
+ * Reads the imports of a Less file: `@import (options) "url";` and `@import url("url");`.
+ * CSS imports (the `css` option or `.css` files without the `less` option) are skipped.
+ * Urls with variable interpolation (`@{variable}`) are flagged as `dynamic`.
+ *
+ * @param contents {Buffer|string} The contents of the file.
+ * @return {Array<{rule: string, url: string, line: number, column: number, options: Array<string>, dynamic: (boolean|undefined)}>}
+ */
+function scanLessImports(contents) {
+    let statements = matchStatements(contents, /(^|[\s;{}])@(import)\s*(?:\(([^)]*)\)\s*)?(?:url\(\s*)?(['"]?)([^'"\s;)]+)\4/g);
+    let imports = [];
+
+    for (let {rule, url, line, column, options} of statements) {
+        if (options.includes('css') || (/\.css$/.test(url) && !options.includes('less')) || EXTERNAL_URL.test(url)) {
+            continue;
+        }
+
+        let found = {rule, url, line, column, options};
+        if (url.includes('@{')) {
+            found.dynamic = true;
+        }
+        imports.push(found);
+    }
+    return imports;
+}
+
+/**
+ * Reads the imports of a Stylus file: `@import "url"` and `@require "url"`. Unquoted urls are literal paths. (e.g. `@import nib`)
+ * CSS imports are skipped and urls built by expressions (e.g. `"themes/" + theme`) are flagged as `dynamic`.
+ *
+ * @param contents {Buffer|string} The contents of the file.
+ * @return {Array<{rule: string, url: string, line: number, column: number, dynamic: (boolean|undefined)}>}
+ */
+function scanStylusImports(contents) {
+    let statements = matchStatements(contents, /(^|[\s;{}])@(import|require)()\s+(?:url\(\s*)?(['"]?)([^'"\s;)]+)\4/g, isStylusComment);
+    let imports = [];
+
+    for (let {rule, url, line, column, quoted, rest} of statements) {
+        if (/\.css$/.test(url) || EXTERNAL_URL.test(url)) {
+            continue;
+        }
+
+        let found = {rule, url, line, column};
+        if (rest.startsWith('+')) {
+            found.url = `${quoted ? JSON.stringify(url) : url} ${rest}`.trim();
+            found.dynamic = true;
+        }
+        imports.push(found);
+    }
+    return imports;
+}
+
+/**
+ * Creates a function resolving urls within a directory by trying extensions and index files.
+ *
+ * @param extensions {Array<string>} The extensions to append to urls without one. (e.g. `.less`)
+ * @param indexFiles {Array<string>} The files to look for in directories. (e.g. `index.styl`)
+ * @return {function(string, string): (string|null)} (func (url, directory) => path|null)
+ */
+function createResolver(extensions, indexFiles = []) {
+    return function (url, directory) {
+        let absolutePath = path.normalize(path.join(directory, url));
+        let candidates = /\.\w+$/.test(url.substr(url.lastIndexOf('/') + 1)) ? [absolutePath] : [];
+        candidates = candidates
+            .concat(extensions.map(extension => `${absolutePath}${extension}`))
+            .concat(indexFiles.map(indexFile => path.join(absolutePath, indexFile)));
+
+        let found = candidates.find(resolveSassImport.isFile);
+        return found !== undefined ? path.normalize(found) : null;
+    };
+}
+
+/**
+ * Whether or not a file is a partial by the underscore convention. (`_partial.scss`)
+ *
+ * @param filePath {string} Normalized absolute path.
+ * @return {boolean}
+ */
+function isUnderscorePartial(filePath) {
+    return filePath.substr(filePath.lastIndexOf('/') + 1).startsWith('_');
+}
+
+/**
+ * Reads the `paths` option of the Less and Stylus compilers.
+ *
+ * @param options {Object} The compiler options.
+ * @return {Array<string>} Normalized absolute load paths.
+ */
+function resolvePathsOption(options = {}) {
+    return [].concat(options.paths || [])
+        .filter(loadPath => typeof loadPath === 'string' && loadPath !== '')
+        .map(loadPath => path.normalize(path.resolve(loadPath)));
+}
+
+/**
+ * The built-in language adapters. Each adapter describes:
+ * * `extensions` - The extensions of the files of the language.
+ * * `importExtensions` - The extensions of the files imports may load. (Used by extensionless glob imports)
+ * * `rules` - The rules that create dependencies.
+ * * `scanImports(contents, filePath)` - Returns the imports found in a file. (See {@link scanSassImports})
+ * * `resolve(url, directory, rule)` - Returns the file an url points to within a directory or null.
+ * * `resolvePackage(url, directory, rule)` - Returns the file of a package url (`~` or `pkg:`) or null. (Optional)
+ * * `customImporters` - Whether or not the custom importers of the options are used.
+ * * `getLoadPaths(options)` - Returns the load paths configured by the compiler options.
+ * * `isPartial(filePath)` - Whether or not a file is only meant to be imported.
+ * @type {Object<string, Object>}
+ */
+const ADAPTERS = {
+    sass: {
+        name: 'sass',
+        extensions: ['.scss', '.sass'],
+        importExtensions: ['.scss', '.sass', '.css'],
+        rules: ['import', 'use', 'forward', 'load-css', 'pragma'],
+        scanImports: (contents, filePath) => scanSassImports(contents, scanSassImports.syntaxOf(filePath)),
+        resolve: (url, directory, rule) => resolveSassImport.resolveInDirectory(url, directory, rule),
+        resolvePackage: (url, directory, rule) => resolveSassImport(url, directory, directory, {rule}),
+        customImporters: true,
+        getLoadPaths: options => resolveLoadPaths(options),
+        isPartial: isUnderscorePartial,
+    },
+    less: {
+        name: 'less',
+        extensions: ['.less'],
+        importExtensions: ['.less'],
+        rules: ['import'],
+        scanImports: scanLessImports,
+        resolve: createResolver(['.less']),
+        resolvePackage: null,
+        customImporters: false,
+        getLoadPaths: resolvePathsOption,
+        isPartial: isUnderscorePartial,
+    },
+    stylus: {
+        name: 'stylus',
+        extensions: ['.styl'],
+        importExtensions: ['.styl'],
+        rules: ['import', 'require'],
+        scanImports: scanStylusImports,
+        resolve: createResolver(['.styl'], ['index.styl']),
+        resolvePackage: null,
+        customImporters: false,
+        getLoadPaths: resolvePathsOption,
+        isPartial: isUnderscorePartial,
+    },
+};
+
+/**
+ * Resolves the `languages` option to the language adapters.
+ * Entries are names of the built-in adapters (See {@link ADAPTERS}) or custom adapters.
+ * Custom adapters need a `name`, `extensions`, `scanImports` and `resolve`. The other properties default to those of Less.
+ *
+ * @param languages {Array<string|Object>} The languages to track. Defaults to Sass only.
+ * @return {Array<Object>} The adapters.
+ * @throws {Error} On unknown languages or incomplete adapters.
+ */
+function resolveLanguages(languages = ['sass']) {
+    return languages.map(language => {
+        if (typeof language === 'string') {
+            if (!ADAPTERS.hasOwnProperty(language)) {
+                throw new Error(`Unknown language: ${language}. Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+            }
+            return ADAPTERS[language];
+        }
+
+        let isComplete = language !== null && typeof language === 'object'
+            && typeof language.name === 'string' && Array.isArray(language.extensions)
+            && typeof language.scanImports === 'function' && typeof language.resolve === 'function';
+        if (!isComplete) {
+            throw new Error('Language adapters need a name, extensions, scanImports and resolve');
+        }
+        return Object.assign({}, ADAPTERS.less, {importExtensions: language.extensions}, language);
+    });
+}
+
+/**
+ * Creates the glob suffix matching any of the given extensions. (e.g. `.{scss,sass}`)
+ * Braces with a single entry do not expand, so a single extension is used as it is.
+ *
+ * @param extensions {Array<string>}
+ * @return {string}
+ */
+function extensionPattern(extensions) {
+    let names = extensions.map(extension => extension.substr(1));
+    return names.length === 1 ? `.${names[0]}` : `.{${names.join(',')}}`;
+}
+
+module.exports = {
+    ADAPTERS,
+    resolveLanguages,
+    extensionPattern,
+};
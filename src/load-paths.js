@@ -0,0 +1,106 @@
+'use strict';
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+/**
+ * The option keys configuring load paths: `includePaths` of the legacy API and `loadPaths` of the modern API.
+ * @type {string[]}
+ */
+const LOAD_PATH_OPTIONS = ['includePaths', 'loadPaths'];
+
+/**
+ * Separates the entries of `SASS_PATH` like the `PATH` variable of the platform.
+ * @type {string}
+ */
+const SASS_PATH_DELIMITER = process.platform === 'win32' ? ';' : ':';
+
+/**
+ * Reduces an option key to lower case letters so spelling variants like `include_paths` compare equal.
+ *
+ * @param key {string}
+ * @return {string}
+ */
+function simplifyKey(key) {
+    return key.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Computes the edit distance between two strings.
+ *
+ * @param a {string}
+ * @param b {string}
+ * @return {number}
+ */
+function editDistance(a, b) {
+    let previousRow = Array.from({length: b.length + 1}, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(
+                previousRow[j] + 1,
+                row[j - 1] + 1,
+                previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+/**
+ * Normalizes all the ways sass accepts load paths into a single list:
+ * `includePaths`, then `loadPaths`, then the entries of the `SASS_PATH` environment variable.
+ * Relative paths are resolved against the working directory and duplicates are dropped.
+ *
+ * @param sassOptions {Object} The sass options.
+ * @param env {Object} The environment variables.
+ * @return {Array<string>} Normalized absolute load paths in order of precedence.
+ */
+function resolveLoadPaths(sassOptions = {}, env = process.env) {
+    let configured = [];
+    for (let key of LOAD_PATH_OPTIONS) {
+        configured = configured.concat(sassOptions[key] || []);
+    }
+    if (env.SASS_PATH) {
+        configured = configured.concat(env.SASS_PATH.split(SASS_PATH_DELIMITER));
+    }
+
+    let loadPaths = [];
+    for (let loadPath of configured.filter(entry => typeof entry === 'string' && entry !== '')) {
+        let absolutePath = path.normalize(path.resolve(loadPath));
+        if (!loadPaths.includes(absolutePath)) {
+            loadPaths.push(absolutePath);
+        }
+    }
+    return loadPaths;
+}
+
+/**
+ * Finds option keys which are most likely misspelled load path options. (e.g. `includePathes` or `load_path`)
+ *
+ * @param sassOptions {Object} The sass options.
+ * @return {Array<{key: string, suggestion: string}>} The suspicious keys with the option they probably mean.
+ */
+function findLoadPathTypos(sassOptions = {}) {
+    let typos = [];
+    for (let key of Object.keys(sassOptions)) {
+        if (LOAD_PATH_OPTIONS.includes(key)) {
+            continue;
+        }
+
+        for (let suggestion of LOAD_PATH_OPTIONS) {
+            if (editDistance(simplifyKey(key), simplifyKey(suggestion)) <= 2) {
+                typos.push({key, suggestion});
+                break;
+            }
+        }
+    }
+    return typos;
+}
+
+module.exports = {
+    LOAD_PATH_OPTIONS,
+    resolveLoadPaths,
+    findLoadPathTypos,
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+// Ponyfill for `path`
+const path = require('./path-ponyfill');
+
+const {fileUrlToPath} = require('./custom-importers');
+
+/**
+ * Converts a location reported by the compiler to a normalized absolute path.
+ *
+ * @param location {URL|string} A `file:` url or a path.
+ * @param baseDirectory {string} Normalized absolute directory relative paths are resolved against.
+ * @return {string|null} The path or null if the location is no file on disk. (e.g. `stdin` or `data:` urls)
+ */
+function toFilePath(location, baseDirectory) {
+    let filePath = String(location);
+    if (/^file:/i.test(filePath)) {
+        filePath = fileUrlToPath(filePath);
+    } else if (!path.isAbsolute(filePath) && /^[a-z][\w+.-]*:/i.test(filePath)) {
+        return null;
+    } else {
+        filePath = path.normalize(path.isAbsolute(filePath) ? filePath : path.join(baseDirectory, filePath));
+    }
+    return filePath !== null && path.exists(filePath) ? filePath : null;
+}
+
+/**
+ * Reads the files the compiler loaded for a compiled file from what it attached to the Vinyl file:
+ * * `loadedUrls` - The urls of the compile result of Dart Sass.
+ * * `stats.includedFiles` - The included files of the result stats of node-sass.
+ * * `sourceMap.sources` - The sources of the sourcemap (e.g. by gulp-sourcemaps) relative to the base of the file.
+ *   Sourcemaps only list the files that produced CSS, so files missing from them may have been loaded anyway.
+ *
+ * @param file {Vinyl} The compiled file.
+ * @return {{files: Array<string>, complete: boolean, source: string}|null} The normalized absolute paths of the loaded files,
+ *         whether or not those are all the files that have been loaded and where they have been read from.
+ *         Null if the compiler did not attach any of those.
+ */
+function readLoadedFiles(file) {
+    let base = path.normalize(file.base);
+    let found = null;
+
+    if (Array.isArray(file.loadedUrls)) {
+        found = {locations: file.loadedUrls, complete: true, source: 'loadedUrls'};
+    } else if (file.stats && Array.isArray(file.stats.includedFiles)) {
+        found = {locations: file.stats.includedFiles, complete: true, source: 'stats'};
+    } else if (file.sourceMap && Array.isArray(file.sourceMap.sources)) {
+        found = {locations: file.sourceMap.sources, complete: false, source: 'sourceMap'};
+    }
+
+    if (found === null) {
+        return null;
+    }
+
+    let files = [];
+    for (let location of found.locations) {
+        let filePath = toFilePath(location, base);
+        if (filePath !== null && !files.includes(filePath)) {
+            files.push(filePath);
+        }
+    }
+    return {files, complete: found.complete, source: found.source};
+}
+
+module.exports = {
+    readLoadedFiles,
+};
@@ -20,7 +20,86 @@ if (colorSupport.level > 0) {
     colors.error = dummy;
 }
 
+/**
+ * The log levels in ascending order of severity. `silent` disables all messages.
+ * @type {string[]}
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Writes a message in the text format to the console. (through fancy-log)
+ *
+ * @param level {string}
+ * @param message {string}
+ * @return {void}
+ */
+function writeText(level, message) {
+    if (level === 'warn') {
+        log.warn(colors.warn(message));
+    } else if (level === 'error') {
+        log.error(colors.error(message));
+    } else {
+        log.info(colors[level](message));
+    }
+}
+
+/**
+ * Creates the logger of the module from the module options:
+ * * `logger` - An object with level methods (`debug`, `info`, `warn`, `error` or at least `log`) receiving `(message, fields)`
+ *   or a function receiving `{level, message, ...fields}`. Defaults to the console.
+ * * `logLevel` - The minimum level to log. One of {@link LEVELS}. Defaults to `debug` with the `debug` option and `info` otherwise.
+ * * `logFormat` - `text` (default) or `json` to write JSON lines to stdout. Ignored with a custom `logger`.
+ * * `suppressOutput` - Disables all messages.
+ * Each message carries fields like `event`, `file` or `import` so tools can process them without parsing the message.
+ *
+ * @param options {{logger: (Object|Function|null), logLevel: (string|null), logFormat: string, debug: boolean, suppressOutput: boolean}}
+ * @param stream {{write: Function}} Where JSON lines are written to.
+ * @return {{level: string, isEnabled: Function, debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger(options = {}, stream = process.stdout) {
+    let level = options.logLevel || (options.debug ? 'debug' : 'info');
+    if (options.suppressOutput) {
+        level = 'silent';
+    }
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Unknown log level: ${level}. Use one of: ${LEVELS.join(', ')}`);
+    }
+
+    let sink = options.logger || null;
+    let format = options.logFormat || 'text';
+    if (!['text', 'json'].includes(format)) {
+        throw new Error(`Unknown log format: ${format}. Use one of: text, json`);
+    }
+
+    const write = (messageLevel, message, fields) => {
+        if (typeof sink === 'function') {
+            sink(Object.assign({level: messageLevel, message}, fields));
+        } else if (sink !== null) {
+            (typeof sink[messageLevel] === 'function' ? sink[messageLevel] : sink.log).call(sink, message, fields);
+        } else if (format === 'json') {
+            stream.write(`${JSON.stringify(Object.assign({time: new Date().toISOString(), level: messageLevel, message}, fields))}\n`);
+        } else {
+            writeText(messageLevel, message);
+        }
+    };
+
+    let logger = {
+        level,
+        isEnabled: messageLevel => LEVELS.indexOf(messageLevel) >= LEVELS.indexOf(level) && level !== 'silent',
+    };
+    for (let messageLevel of LEVELS.slice(0, -1)) {
+        logger[messageLevel] = (message, fields = {}) => {
+            if (logger.isEnabled(messageLevel)) {
+                write(messageLevel, message, fields);
+            }
+        };
+    }
+    return logger;
+}
+
 module.exports = {
     log,
     colors,
-};
\ No newline at end of file
+    LEVELS,
+    createLogger,
+};
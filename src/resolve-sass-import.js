@@ -1,27 +1,313 @@
 'use strict';
 
+// General utilities
+const fs = require('fs');
+
 const path = require('./path-ponyfill');
 
+/**
+ * The extensions sass tries (in that order) for imports without an explicit extension.
+ * @type {string[]}
+ */
+const EXTENSIONS = ['.sass', '.scss', '.css'];
+
+/**
+ * The export conditions sass understands when resolving `pkg:` urls.
+ * @type {string[]}
+ */
+const CONDITIONS = ['sass', 'style', 'default'];
+
+/**
+ * Whether or not a regular file exists at the path.
+ *
+ * @param filePath {string}
+ * @return {boolean}
+ */
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Whether or not a directory exists at the path.
+ *
+ * @param directoryPath {string}
+ * @return {boolean}
+ */
+function isDirectory(directoryPath) {
+    try {
+        return fs.statSync(directoryPath).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Reduces the candidates of an import to a single file. Reports ambiguous imports the way sass does.
+ *
+ * @param candidates {Array<string>} Existing files matching the import.
+ * @return {string|null} The only candidate or null if there is none.
+ */
+function exactlyOne(candidates) {
+    if (candidates.length > 1) {
+        throw new Error(`It's not clear which file to import. Found:\n${candidates.map(candidate => `  ${candidate}`).join('\n')}`);
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Lists the existing files for a path and its partial. (`_name.ext` and `name.ext`)
+ *
+ * @param filePath {string}
+ * @return {Array<string>}
+ */
+function tryPath(filePath) {
+    let directory = path.dirname(filePath);
+    let partial = path.normalize(path.join(directory, `_${filePath.substr(filePath.lastIndexOf('/') + 1)}`));
+    return [partial, filePath].filter(isFile);
+}
+
+/**
+ * Lists the existing files for a path without an extension.
+ * Sass and SCSS files take precedence over CSS files.
+ *
+ * @param filePath {string}
+ * @return {Array<string>}
+ */
+function tryPathWithExtensions(filePath) {
+    let candidates = tryPath(`${filePath}.sass`).concat(tryPath(`${filePath}.scss`));
+    return candidates.length > 0 ? candidates : tryPath(`${filePath}.css`);
+}
+
+/**
+ * Resolves the index file of a directory.
+ *
+ * @param directoryPath {string}
+ * @param rule {string} The rule importing the directory.
+ * @return {string|null}
+ */
+function tryPathAsDirectory(directoryPath, rule) {
+    if (!isDirectory(directoryPath)) {
+        return null;
+    }
+
+    let found = null;
+    if (rule === 'import') {
+        found = exactlyOne(tryPathWithExtensions(path.normalize(path.join(directoryPath, 'index.import'))));
+    }
+    return found || exactlyOne(tryPathWithExtensions(path.normalize(path.join(directoryPath, 'index'))));
+}
+
+/**
+ * Resolves an import relative to a base directory following the lookup algorithm of Dart Sass:
+ * * Explicit extensions are tried as-is and as partial.
+ * * Otherwise import-only files (`name.import.scss`, only for `@import`), then `.sass`/`.scss`, then `.css`.
+ * * Finally the index file (`_index.scss`, `index.scss`, ...) of a directory with that name.
+ *
+ * @param url {string} The url of the import.
+ * @param baseDirectory {string} Normalized absolute path of the directory to resolve against.
+ * @param rule {string} The rule importing the url.
+ * @return {string|null} The resolved file or null.
+ */
+function resolveInDirectory(url, baseDirectory, rule = 'import') {
+    let absolutePath = path.normalize(path.join(baseDirectory, url));
+    let extension = url.includes('.') ? url.substr(url.lastIndexOf('.')) : '';
+
+    if (EXTENSIONS.includes(extension)) {
+        return exactlyOne(tryPath(absolutePath));
+    }
+
+    let found = null;
+    if (rule === 'import') {
+        found = exactlyOne(tryPathWithExtensions(`${absolutePath}.import`));
+    }
+    return found
+        || exactlyOne(tryPathWithExtensions(absolutePath))
+        || tryPathAsDirectory(absolutePath, rule);
+}
+
+/**
+ * Finds the directory of an installed package by walking up the `node_modules` directories.
+ *
+ * @param packageName {string} The name of the package. (May be scoped)
+ * @param contextPath {string} Normalized absolute path of the directory to start searching from.
+ * @return {string|null} The package directory or null.
+ */
+function findPackage(packageName, contextPath) {
+    let directory = contextPath;
+    while (true) {
+        let candidate = path.normalize(path.join(directory, 'node_modules', packageName));
+        if (isDirectory(candidate)) {
+            return candidate;
+        }
+
+        let parent = path.dirname(directory);
+        if (parent === directory || parent === '.' || parent === '') {
+            return null;
+        }
+        directory = parent;
+    }
+}
+
+/**
+ * Resolves an entry of the `exports` field of a `package.json` with the sass conditions.
+ *
+ * @param target {string|Array|Object|null} The export target.
+ * @param wildcard {string|null} The value to replace `*` with for pattern exports.
+ * @return {string|null} The exported path relative to the package.
+ */
+function resolveExportTarget(target, wildcard = null) {
+    if (typeof target === 'string') {
+        return wildcard !== null ? target.replace(/\*/g, wildcard) : target;
+
+    } else if (Array.isArray(target)) {
+        for (let alternative of target) {
+            let resolved = resolveExportTarget(alternative, wildcard);
+            if (resolved !== null) {
+                return resolved;
+            }
+        }
+
+    } else if (target !== null && typeof target === 'object') {
+        for (let condition of CONDITIONS) {
+            if (target.hasOwnProperty(condition)) {
+                let resolved = resolveExportTarget(target[condition], wildcard);
+                if (resolved !== null) {
+                    return resolved;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Looks up a subpath in the `exports` field of a `package.json`.
+ *
+ * @param exports {string|Array|Object} The `exports` field.
+ * @param subpath {string} The subpath starting with `.`.
+ * @return {string|null} The exported path relative to the package.
+ */
+function resolveExport(exports, subpath) {
+    let isSubpathMap = exports !== null && typeof exports === 'object' && !Array.isArray(exports)
+        && Object.keys(exports).some(key => key.startsWith('.'));
+
+    if (!isSubpathMap) {
+        return subpath === '.' ? resolveExportTarget(exports) : null;
+    }
+
+    if (exports.hasOwnProperty(subpath)) {
+        return resolveExportTarget(exports[subpath]);
+    }
+
+    for (let key of Object.keys(exports)) {
+        let wildcardIndex = key.indexOf('*');
+        if (wildcardIndex < 0) {
+            continue;
+        }
+
+        let prefix = key.substr(0, wildcardIndex);
+        let suffix = key.substr(wildcardIndex + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+            return resolveExportTarget(exports[key], subpath.substring(prefix.length, subpath.length - suffix.length));
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the subpaths sass looks up in the `exports` field for an import: the subpath itself, with extensions,
+ * as partial and as directory index.
+ *
+ * @param subpath {string} The subpath without a leading `./`.
+ * @return {Array<string>}
+ */
+function exportVariants(subpath) {
+    let extension = subpath.includes('.') ? subpath.substr(subpath.lastIndexOf('.')) : '';
+    let bases = EXTENSIONS.includes(extension)
+        ? [subpath.substr(0, subpath.length - extension.length)]
+        : [subpath, `${subpath}/index`];
+    let extensions = EXTENSIONS.includes(extension) ? [extension] : EXTENSIONS;
+    let variants = [];
+
+    for (let base of bases) {
+        let slash = base.lastIndexOf('/');
+        let partial = `${base.substr(0, slash + 1)}_${base.substr(slash + 1)}`;
+        for (let ext of extensions) {
+            variants.push(`${base}${ext}`, `${partial}${ext}`);
+        }
+    }
+    return variants;
+}
+
+/**
+ * Resolves a `pkg:` url through the `package.json` of the package like the NodePackageImporter of Dart Sass.
+ * The root of a package is resolved through `exports`, `sass` or `style` and falls back to an index file.
+ *
+ * @param url {string} The url, e.g. `pkg:@scope/name/sub/path`.
+ * @param contextPath {string} Normalized absolute path of the importing directory.
+ * @param rule {string} The rule importing the url.
+ * @return {string|null}
+ */
+function resolvePackageUrl(url, contextPath, rule) {
+    let segments = url.substr('pkg:'.length).split('/');
+    let nameLength = segments[0].startsWith('@') ? 2 : 1;
+    let packageName = segments.slice(0, nameLength).join('/');
+    let subpath = segments.slice(nameLength).join('/');
+
+    let packageDirectory = findPackage(packageName, contextPath);
+    if (packageDirectory === null) {
+        return null;
+    }
+
+    let manifestPath = path.normalize(path.join(packageDirectory, 'package.json'));
+    let manifest = isFile(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+    let inPackage = relativePath => path.normalize(path.join(packageDirectory, relativePath));
+
+    if (manifest.exports !== undefined) {
+        let variants = subpath === '' ? ['.'] : [subpath].concat(exportVariants(subpath));
+        let exported = variants
+            .map(variant => resolveExport(manifest.exports, variant === '.' ? '.' : `./${variant}`))
+            .filter(exportedPath => exportedPath !== null)
+            .map(inPackage)
+            .filter(isFile);
+
+        let found = exactlyOne(exported.filter((exportedPath, index) => exported.indexOf(exportedPath) === index));
+        if (found !== null) {
+            return found;
+        }
+    }
+
+    if (subpath !== '') {
+        return resolveInDirectory(subpath, packageDirectory, rule);
+    }
+
+    for (let field of ['sass', 'style']) {
+        if (typeof manifest[field] === 'string' && isFile(inPackage(manifest[field]))) {
+            return inPackage(manifest[field]);
+        }
+    }
+    return resolveInDirectory('index', packageDirectory, rule);
+}
+
 /**
  * Tries to resolve a sass import based on some contextual information.
- * (Includes testing for a partial.)
+ * Follows the lookup algorithm of Dart Sass (partials, extensions, import-only files, index files)
+ * and supports the `~` prefix for `node_modules` as well as `pkg:` urls.
  * Returns the path of the import target if found.
  *
  * @param importPath the path used in the import statement.
  * @param includePath The sass include path. (Invoke multiple times for multiple include paths.)
  * @param contextPath The base path of the importing file. (Used for relative imports.)
+ * @param options {{rule: string}} The rule importing the path. (`import`, `use` or `forward`)
  * @returns {string|null}
+ * @throws {Error} When the import is ambiguous. (e.g. both `_name.scss` and `name.scss` exist)
  */
-function resolveSassImport(importPath, includePath, contextPath) {
-    let lookupPath = importPath;
-    if (!lookupPath.endsWith('.scss') && !lookupPath.endsWith('.sass')) {
-        lookupPath = lookupPath + '.scss';
-    }
-
-    let absoluteIncludePath = path.normalize(includePath);
-    if (!path.isAbsolute(includePath)) {
-        absoluteIncludePath = path.normalize(path.join(process.cwd(), includePath));
-    }
+function resolveSassImport(importPath, includePath, contextPath, options = {rule: 'import'}) {
+    let rule = options.rule || 'import';
 
     if (contextPath != null) {
         contextPath = path.normalize(contextPath);
@@ -30,34 +316,34 @@ function resolveSassImport(importPath, includePath, contextPath) {
         }
     }
 
-    let containsSep = lookupPath.includes('/');
-    let base = containsSep ? lookupPath.substr(0, lookupPath.lastIndexOf('/')) + '/' : '';
-    let fileName = containsSep ? lookupPath.substr(lookupPath.lastIndexOf('/') + 1) : lookupPath;
-
-    let build = (a,b) => { return path.normalize(path.join(absoluteIncludePath, path.join(a,b)))};
+    if (importPath.startsWith('pkg:')) {
+        return resolvePackageUrl(importPath, contextPath != null ? contextPath : path.normalize(process.cwd()), rule);
+    }
 
-    let full = build(base, fileName);
-    let partial = build(base, `_${fileName}`);
+    if (importPath.startsWith('~')) {
+        // The webpack convention for node_modules is resolved just like a package url.
+        return resolvePackageUrl(`pkg:${importPath.substr(1)}`, contextPath != null ? contextPath : path.normalize(process.cwd()), rule);
+    }
 
-    if (path.exists(full)) {
-        return full;
+    let absoluteIncludePath = path.normalize(includePath);
+    if (!path.isAbsolute(includePath)) {
+        absoluteIncludePath = path.normalize(path.join(process.cwd(), includePath));
+    }
 
-    } else if (!fileName.startsWith('_') && path.exists(partial)) {
-        return partial;
+    let found = resolveInDirectory(importPath, absoluteIncludePath, rule);
+    if (found !== null) {
+        return found;
 
     } else if (contextPath != null && contextPath.startsWith(absoluteIncludePath)) {
         let relativeContext = path.relative(absoluteIncludePath, contextPath);
-        let fixedPath = path.normalize(path.join(relativeContext, lookupPath));
-        return resolveSassImport(fixedPath, includePath, null);
-
-    } else if (!importPath.endsWith('.scss') && !importPath.endsWith('.sass') && lookupPath.endsWith('.scss')) {
-        // When the file type has not been explicitly provided and we only looked for an SCSS file,
-        // also look for a sassy version ending in ".sass"
-        let sassyPath = `${importPath}.sass`;
-        return resolveSassImport(sassyPath, includePath, contextPath);
+        let fixedPath = path.normalize(path.join(relativeContext, importPath));
+        return resolveSassImport(fixedPath, includePath, null, options);
     }
 
     return null;
 }
 
-module.exports = resolveSassImport;
\ No newline at end of file
+resolveSassImport.resolveInDirectory = resolveInDirectory;
+resolveSassImport.isFile = isFile;
+
+module.exports = resolveSassImport;
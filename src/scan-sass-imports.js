@@ -0,0 +1,533 @@
+'use strict';
+
+/**
+ * The sass rules that load other stylesheets.
+ * @type {string[]}
+ */
+const LOADING_RULES = ['import', 'use', 'forward'];
+
+const QUOTES = ['"', "'"];
+
+/**
+ * Whether or not a character may be part of an identifier.
+ *
+ * @param char {string|undefined}
+ * @return {boolean}
+ */
+function isNameChar(char) {
+    return char !== undefined && /[\w-]/.test(char);
+}
+
+/**
+ * Whether or not only whitespace precedes an index on its line.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @return {boolean}
+ */
+function isLineStart(source, index) {
+    let lineStart = source.lastIndexOf('\n', index - 1) + 1;
+    return source.substring(lineStart, index).trim() === '';
+}
+
+/**
+ * Finds the index of the line break ending the line an index is on.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @return {number} The index of the line break or the length of the source.
+ */
+function lineEnd(source, index) {
+    let end = source.indexOf('\n', index);
+    return end < 0 ? source.length : end;
+}
+
+/**
+ * Skips a comment starting at the given index.
+ * In the indented syntax, a comment that starts a line also swallows all lines indented deeper than itself.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @param indented {boolean} Whether or not the source uses the indented syntax.
+ * @return {number} The index after the comment or the given index when there is no comment.
+ */
+function skipComment(source, index, indented) {
+    let isLineComment = source.startsWith('//', index);
+    let isBlockComment = source.startsWith('/*', index);
+
+    if (!isLineComment && !isBlockComment) {
+        return index;
+    }
+
+    if (indented && isLineStart(source, index)) {
+        let indentation = index - (source.lastIndexOf('\n', index - 1) + 1);
+        let end = lineEnd(source, index);
+
+        while (end < source.length) {
+            let nextEnd = lineEnd(source, end + 1);
+            let nextLine = source.substring(end + 1, nextEnd);
+            let nextIndentation = nextLine.length - nextLine.replace(/^[ \t]*/, '').length;
+
+            if (nextLine.trim() !== '' && nextIndentation <= indentation) {
+                break;
+            }
+            end = nextEnd;
+        }
+        return end;
+    }
+
+    if (isLineComment) {
+        return lineEnd(source, index);
+    }
+
+    let end = source.indexOf('*/', index + 2);
+    return end < 0 ? source.length : end + 2;
+}
+
+/**
+ * Skips a quoted string starting at the given index.
+ * Unterminated strings end at the line break.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @return {number} The index after the string or the given index when there is no string.
+ */
+function skipString(source, index) {
+    let quote = source[index];
+    if (!QUOTES.includes(quote)) {
+        return index;
+    }
+
+    let cursor = index + 1;
+    while (cursor < source.length && source[cursor] !== quote && source[cursor] !== '\n') {
+        cursor += source[cursor] === '\\' ? 2 : 1;
+    }
+    return Math.min(cursor + 1, source.length);
+}
+
+/**
+ * Replaces the comments of a source with spaces, so statements can be matched without moving any positions in it.
+ * Line breaks and strings are kept as they are.
+ *
+ * @param source {string}
+ * @param isComment {Function} (func (source, index) => boolean) Whether or not a comment sequence at an index starts a comment.
+ *                  Defaults to always.
+ * @return {string}
+ */
+function maskComments(source, isComment = () => true) {
+    let masked = '';
+    let cursor = 0;
+
+    while (cursor < source.length) {
+        let end = skipString(source, cursor);
+        let isMasked = false;
+        if (end === cursor && isComment(source, cursor)) {
+            end = skipComment(source, cursor, false);
+            isMasked = end !== cursor;
+        }
+        end = Math.max(end, cursor + 1);
+
+        let skipped = source.substring(cursor, end);
+        masked += isMasked ? skipped.replace(/[^\n]/g, ' ') : skipped;
+        cursor = end;
+    }
+    return masked;
+}
+
+/**
+ * Skips a parenthesized group starting at the given index, respecting strings, comments and nested groups.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @return {number} The index after the closing parenthesis or the given index when there is no group.
+ */
+function skipGroup(source, index) {
+    if (source[index] !== '(') {
+        return index;
+    }
+
+    let depth = 0;
+    let cursor = index;
+    while (cursor < source.length) {
+        let skipped = skipString(source, cursor);
+        if (skipped === cursor) {
+            skipped = skipComment(source, cursor, false);
+        }
+        if (skipped !== cursor) {
+            cursor = skipped;
+            continue;
+        }
+
+        if (source[cursor] === '(') {
+            depth++;
+        } else if (source[cursor] === ')' && --depth === 0) {
+            return cursor + 1;
+        }
+        cursor++;
+    }
+    return cursor;
+}
+
+/**
+ * Skips anything that cannot contain a loading rule: comments, strings and unquoted `url()` functions.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @param indented {boolean} Whether or not the source uses the indented syntax.
+ * @return {number} The index after the skipped part or the given index when nothing has been skipped.
+ */
+function skipTrivia(source, index, indented) {
+    let skipped = skipComment(source, index, indented);
+    if (skipped === index) {
+        skipped = skipString(source, index);
+    }
+    if (skipped === index && /^url\(/i.test(source.substr(index, 4)) && !isNameChar(source[index - 1])) {
+        skipped = skipGroup(source, index + 3);
+    }
+    return skipped;
+}
+
+/**
+ * Finds the end of a statement: `;`, `{` or `}` outside of groups and interpolation.
+ * In the indented syntax, statements also end at line breaks.
+ *
+ * @param source {string}
+ * @param index {number}
+ * @param indented {boolean} Whether or not the source uses the indented syntax.
+ * @return {number} The index of the terminating character or the length of the source.
+ */
+function findStatementEnd(source, index, indented) {
+    let depth = 0;
+    let cursor = index;
+    while (cursor < source.length) {
+        let skipped = skipTrivia(source, cursor, false);
+        if (skipped !== cursor) {
+            cursor = skipped;
+            continue;
+        }
+
+        let char = source[cursor];
+        if (char === '#' && source[cursor + 1] === '{') {
+            depth++;
+            cursor++;
+        } else if (char === '(') {
+            depth++;
+        } else if (depth > 0 && (char === ')' || char === '}')) {
+            depth--;
+        } else if (depth === 0 && (char === ';' || char === '{' || char === '}' || (indented && char === '\n'))) {
+            return cursor;
+        }
+        cursor++;
+    }
+    return cursor;
+}
+
+/**
+ * Splits the body of a statement into tokens.
+ * Tokens are strings (`value` without quotes), words (including interpolation and function calls), groups and commas.
+ *
+ * @param source {string}
+ * @param start {number}
+ * @param end {number}
+ * @return {Array<{type: string, value: string, index: number}>}
+ */
+function tokenize(source, start, end) {
+    let tokens = [];
+    let cursor = start;
+
+    while (cursor < end) {
+        let char = source[cursor];
+
+        if (/\s/.test(char)) {
+            cursor++;
+            continue;
+        }
+
+        let skipped = skipComment(source, cursor, false);
+        if (skipped !== cursor) {
+            cursor = skipped;
+            continue;
+        }
+
+        if (QUOTES.includes(char)) {
+            let stringEnd = Math.min(skipString(source, cursor), end);
+            let closed = source[stringEnd - 1] === char && stringEnd - cursor > 1;
+            tokens.push({
+                type: 'string',
+                value: source.substring(cursor + 1, closed ? stringEnd - 1 : stringEnd).replace(/\\(.)/g, '$1'),
+                index: cursor,
+            });
+            cursor = stringEnd;
+
+        } else if (char === ',') {
+            tokens.push({type: 'comma', value: char, index: cursor});
+            cursor++;
+
+        } else if (char === '(') {
+            let groupEnd = Math.min(skipGroup(source, cursor), end);
+            tokens.push({type: 'group', value: source.substring(cursor, groupEnd), index: cursor});
+            cursor = groupEnd;
+
+        } else {
+            let wordEnd = cursor;
+            while (wordEnd < end && !/[\s,;'"]/.test(source[wordEnd])) {
+                if (source[wordEnd] === '#' && source[wordEnd + 1] === '{') {
+                    wordEnd = source.indexOf('}', wordEnd);
+                    wordEnd = wordEnd < 0 ? end : wordEnd + 1;
+                } else if (source[wordEnd] === '(') {
+                    wordEnd = skipGroup(source, wordEnd);
+                } else {
+                    wordEnd++;
+                }
+            }
+            let value = source.substring(cursor, Math.min(wordEnd, end));
+            tokens.push({type: value.includes('(') ? 'function' : 'word', value, index: cursor});
+            cursor = wordEnd;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Whether or not an `@import` target is a plain CSS import that sass leaves untouched.
+ *
+ * @param target {{type: string, value: string}} The first token of the import.
+ * @param modifiers {Array} Any further tokens of that import (e.g. media queries).
+ * @return {boolean}
+ */
+function isPlainCssImport(target, modifiers) {
+    return target.type === 'function'
+        || modifiers.length > 0
+        || /\.css$/.test(target.value)
+        || /^(?:https?:)?\/\//.test(target.value);
+}
+
+/**
+ * Creates a function translating source indices into 1-based line and column numbers.
+ *
+ * @param source {string}
+ * @return {function(number): {line: number, column: number}}
+ */
+function createLocator(source) {
+    let lineStarts = [0];
+    for (let index = source.indexOf('\n'); index >= 0; index = source.indexOf('\n', index + 1)) {
+        lineStarts.push(index + 1);
+    }
+
+    return index => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            let middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= index) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return {line: low + 1, column: index - lineStarts[low] + 1};
+    };
+}
+
+/**
+ * Reads the targets from the tokens of a loading rule.
+ *
+ * @param rule {string} One of {@link LOADING_RULES}.
+ * @param tokens {Array} The tokens of the statement body.
+ * @return {Array<Object>} The found imports without their location.
+ */
+function parseRule(rule, tokens) {
+    if (rule === 'import') {
+        let imports = [];
+        let segment = [];
+        for (let token of tokens.concat([{type: 'comma'}])) {
+            if (token.type !== 'comma') {
+                segment.push(token);
+                continue;
+            }
+
+            if (segment.length > 0 && !isPlainCssImport(segment[0], segment.slice(1))) {
+                imports.push({rule, url: segment[0].value, index: segment[0].index});
+            }
+            segment = [];
+        }
+        return imports;
+    }
+
+    let target = tokens[0];
+    if (target === undefined || target.type !== 'string') {
+        return [];
+    }
+
+    let found = {rule, url: target.value, index: target.index, namespace: null, show: null, hide: null, configured: false};
+    let clause = null;
+    for (let token of tokens.slice(1)) {
+        if (token.type === 'word' && ['as', 'show', 'hide', 'with'].includes(token.value)) {
+            clause = token.value;
+            if (clause === 'show' || clause === 'hide') {
+                found[clause] = [];
+            } else if (clause === 'with') {
+                found.configured = true;
+            }
+
+        } else if (clause === 'as' && token.type === 'word') {
+            found.namespace = token.value;
+            clause = null;
+
+        } else if ((clause === 'show' || clause === 'hide') && token.type === 'word') {
+            found[clause].push(token.value);
+        }
+    }
+    return [found];
+}
+
+/**
+ * Reads the paths declared by a `// @sass-deps: <paths or globs>` comment.
+ *
+ * @param source {string}
+ * @param index {number} The start of the comment.
+ * @return {Array<{rule: string, url: string, index: number}>} The declared paths. Empty if the comment is no pragma.
+ */
+function parsePragma(source, index) {
+    let line = source.substring(index, lineEnd(source, index));
+    let match = /^\/[/*]\s*@sass-deps:/.exec(line);
+    if (match === null) {
+        return [];
+    }
+
+    let declarations = [];
+    let cursor = index + match[0].length;
+    for (let declaration of line.substr(match[0].length).replace(/\*\/.*$/, '').split(',')) {
+        let url = declaration.trim();
+        if (url !== '') {
+            declarations.push({rule: 'pragma', url, index: cursor + declaration.indexOf(url)});
+        }
+        cursor += declaration.length + 1;
+    }
+    return declarations;
+}
+
+/**
+ * Reads the stylesheet loaded by an `@include meta.load-css()` statement.
+ * Urls computed at runtime (e.g. `meta.load-css($theme)`) are reported as `dynamic` with the expression as url.
+ * The mixin has to be called through one of the namespaces `sass:meta` is used with.
+ *
+ * @param source {string}
+ * @param tokens {Array} The tokens of the `@include` body.
+ * @param metaNamespaces {Array<string>} The namespaces of `sass:meta`. (`*` for a global `@use`)
+ * @return {Object|null} The found import without its location or null if the statement does not load a stylesheet.
+ */
+function parseLoadCss(source, tokens, metaNamespaces) {
+    let call = tokens[0];
+    let match = call !== undefined && call.type === 'function' ? /^(?:([\w-]+)\.)?load-css\(\s*/.exec(call.value) : null;
+    if (match === null || !metaNamespaces.includes(match[1] === undefined ? '*' : match[1])) {
+        return null;
+    }
+
+    let urlStart = call.index + match[0].length;
+    let urlEnd = skipString(source, urlStart);
+    if (urlEnd === urlStart) {
+        let expression = /^[^,)]*/.exec(source.substring(urlStart, call.index + call.value.length))[0].trim();
+        return expression !== '' ? {rule: 'load-css', url: expression, index: urlStart, dynamic: true} : null;
+    }
+    if (urlEnd - urlStart < 2 || source[urlEnd - 1] !== source[urlStart]) {
+        return null;
+    }
+
+    let url = source.substring(urlStart + 1, urlEnd - 1).replace(/\\(.)/g, '$1');
+    return url.includes('#{') ? {rule: 'load-css', url, index: urlStart, dynamic: true} : {rule: 'load-css', url, index: urlStart};
+}
+
+/**
+ * Scans the contents of a sass file for `@import`, `@use` and `@forward` rules as well as `meta.load-css()` includes.
+ * Comments, strings and plain CSS imports are skipped and each target of a multi-target `@import` is reported separately.
+ * Imports with interpolation (`#{...}`) cannot be resolved before compilation and are flagged as `dynamic`.
+ * Paths declared by `// @sass-deps: <paths or globs>` comments are reported with the rule `pragma`.
+ *
+ * @param contents {Buffer|string} The contents of the file.
+ * @param syntax {string} Either `scss` or the indented `sass` syntax.
+ * @return {Array<{rule: string, url: string, line: number, column: number, namespace: (string|null|undefined), show: (Array|null|undefined), hide: (Array|null|undefined), configured: (boolean|undefined), dynamic: (boolean|undefined)}>}
+ */
+function scanSassImports(contents, syntax = 'scss') {
+    let source = contents === null || contents === undefined ? '' : contents.toString();
+    let indented = syntax === 'sass';
+    let locate = createLocator(source);
+    let imports = [];
+    let metaNamespaces = [];
+
+    let cursor = 0;
+    while (cursor < source.length) {
+        let skipped = skipTrivia(source, cursor, indented);
+        if (skipped !== cursor) {
+            if (source[cursor] === '/') {
+                for (let found of parsePragma(source, cursor)) {
+                    let location = locate(found.index);
+                    delete found.index;
+                    imports.push(Object.assign(found, location));
+                }
+            }
+            cursor = skipped;
+            continue;
+        }
+
+        if (source[cursor] === '@' && !isNameChar(source[cursor - 1])) {
+            let name = /^[\w-]*/.exec(source.substring(cursor + 1, cursor + 33))[0];
+
+            if (LOADING_RULES.includes(name)) {
+                let bodyStart = cursor + 1 + name.length;
+                let bodyEnd = findStatementEnd(source, bodyStart, indented);
+
+                for (let found of parseRule(name, tokenize(source, bodyStart, bodyEnd))) {
+                    let location = locate(found.index);
+                    delete found.index;
+                    if (found.url.includes('#{')) {
+                        found.dynamic = true;
+                    }
+                    imports.push(Object.assign(found, location));
+
+                    if (found.rule === 'use' && found.url === 'sass:meta') {
+                        metaNamespaces.push(found.namespace || 'meta');
+                    }
+                }
+
+                cursor = bodyEnd;
+                continue;
+            }
+
+            if (name === 'include' && metaNamespaces.length > 0) {
+                let bodyStart = cursor + 1 + name.length;
+                let bodyEnd = findStatementEnd(source, bodyStart, indented);
+                let found = parseLoadCss(source, tokenize(source, bodyStart, bodyEnd), metaNamespaces);
+
+                if (found !== null) {
+                    let location = locate(found.index);
+                    delete found.index;
+                    imports.push(Object.assign(found, location));
+                }
+
+                cursor = bodyEnd;
+                continue;
+            }
+        }
+        cursor++;
+    }
+
+    return imports;
+}
+
+/**
+ * Determines the syntax of a sass file by its extension.
+ *
+ * @param filePath {string}
+ * @return {string} Either `scss` or `sass`.
+ */
+scanSassImports.syntaxOf = function (filePath) {
+    return filePath.endsWith('.sass') ? 'sass' : 'scss';
+};
+
+scanSassImports.LOADING_RULES = LOADING_RULES;
+scanSassImports.createLocator = createLocator;
+scanSassImports.maskComments = maskComments;
+
+module.exports = scanSassImports;
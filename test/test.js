@@ -2,6 +2,9 @@
 
 // --- Dependencies --- //
 const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
 
 const gulp = require('gulp');
 const gRename = require('gulp-rename');
@@ -10,6 +13,9 @@ const Vinyl = require('vinyl');
 
 const path = require('../src/path-ponyfill');
 const SassDepTracker = require('../index');
+const scanSassImports = require('../src/scan-sass-imports');
+const resolveSassImport = require('../src/resolve-sass-import');
+const {CACHE_VERSION} = require('../src/dependency-cache');
 const dependencyTracker = new SassDepTracker({
     debug: false,
     suppressOutput: true
@@ -22,7 +28,7 @@ process.chdir('test');
 const globPattern = './sass/**/*.s[c|a]ss';
 
 const sassOptions = {
-    includePathes: [
+    includePaths: [
         path.resolve('./sass')
     ]
 };
@@ -68,6 +74,30 @@ let relativeDependency = new Vinyl({
 });
 
 
+let moduleConsumer = new Vinyl({
+    cwd: commonCWD,
+    base: commonBase,
+    path: path.resolve('./sass/modules/module-consumer.scss')
+});
+
+let moduleConfig = new Vinyl({
+    cwd: commonCWD,
+    base: commonBase,
+    path: path.resolve('./sass/modules/_config.scss')
+});
+
+let moduleTheme = new Vinyl({
+    cwd: commonCWD,
+    base: commonBase,
+    path: path.resolve('./sass/modules/_theme.scss')
+});
+
+let multiImport = new Vinyl({
+    cwd: commonCWD,
+    base: commonBase,
+    path: path.resolve('./sass/scanner/multi-import.scss')
+});
+
 let sassyFile = new Vinyl({
     cwd: commonCWD,
     base: commonBase,
@@ -94,6 +124,65 @@ let aggregateFilesFromStream = function(files) {
     });
 };
 
+let inspectContents = function(file, contents) {
+    let inspected = file.clone();
+    inspected.contents = Buffer.from(contents);
+    return new Promise(function (resolve, reject) {
+        let stream = dependencyTracker.inspect(sassOptions);
+        stream.on('data', () => {})
+            .on('end', resolve)
+            .on('error', reject);
+        stream.write(inspected);
+        stream.end();
+    });
+};
+
+let removeRecursively = function(target) {
+    if (!fs.existsSync(target)) {
+        return;
+    }
+    if (fs.statSync(target).isDirectory()) {
+        fs.readdirSync(target).forEach(entry => removeRecursively(path.join(target, entry)));
+        fs.rmdirSync(target);
+    } else {
+        fs.unlinkSync(target);
+    }
+};
+
+/**
+ * Registers a temporary fixture directory for the surrounding describe block.
+ * The files are written before the tests. The whole directory (including files the tests added) is removed
+ * afterwards - even if writing the files failed partway.
+ *
+ * @param name {string} Name of the fixture, unique among the describe blocks.
+ * @param files {Object<string, string>} The contents by path relative to the directory.
+ * @return {{directory: string, inDirectory: Function}}
+ */
+let withFixture = function(name, files = {}) {
+    const directory = path.join(path.normalize(os.tmpdir()), `sass-dependency-${name}-${process.pid}`);
+    const inDirectory = relativePath => path.join(directory, relativePath);
+
+    before(function () {
+        removeRecursively(directory);
+        fs.mkdirSync(directory);
+        for (let file of Object.keys(files)) {
+            let segments = file.split('/');
+            for (let depth = 1; depth < segments.length; depth++) {
+                let folder = inDirectory(segments.slice(0, depth).join('/'));
+                if (!fs.existsSync(folder)) {
+                    fs.mkdirSync(folder);
+                }
+            }
+            fs.writeFileSync(inDirectory(file), files[file]);
+        }
+    });
+
+    after(function () {
+        removeRecursively(directory);
+    });
+    return {directory, inDirectory};
+};
+
 // --- Mocha tests --- //
 
 describe('SassDependencyTracker', function () {
@@ -247,4 +336,1487 @@ describe('Sass-Syntax-Support', function () {
             });
         })
     })
-});
\ No newline at end of file
+});
+
+describe('Module-System-Support', function () {
+    before(function (cb) {
+        dependencyTracker.reset();
+        gulp.src(globPattern)
+            .pipe(dependencyTracker.inspect(sassOptions))
+            .on('data', () => {})
+            .on('end', cb);
+    });
+
+    describe('#inspect()', function () {
+        it('should track @use with namespace and configuration', function () {
+            assert(getDependencies(moduleConsumer).includes(path.normalize(moduleConfig.path)), '@use has not been detected!');
+            assert.deepStrictEqual(dependencyTracker.getTree().getDependencyRules(moduleConsumer, moduleConfig), ['use']);
+        });
+
+        it('should track @forward with a show list', function () {
+            assert(getDependencies(moduleConsumer).includes(path.normalize(moduleTheme.path)), '@forward has not been detected!');
+            assert.deepStrictEqual(dependencyTracker.getTree().getDependencyRules(moduleConsumer, moduleTheme), ['forward']);
+        });
+
+        it('should skip built-in modules', function () {
+            assert.strictEqual(getDependencies(moduleConsumer).length, 2, 'Dependencies count does not match!');
+        });
+
+        it('should record @import edges as such', function () {
+            assert.deepStrictEqual(dependencyTracker.getTree().getDependencyRules(child, parent), ['import']);
+        });
+    });
+});
+
+describe('Import-Scanner', function () {
+    let urls = imports => imports.map(found => found.url);
+
+    it('should skip comments and strings', function () {
+        let imports = scanSassImports(`// @import 'a';\n/* @import 'b'; */\n.c { content: "@import 'd'"; }\n@import 'e';`);
+        assert.deepStrictEqual(urls(imports), ['e']);
+    });
+
+    it('should report every target of a multi-target import with its location', function () {
+        let imports = scanSassImports(`.x {}\n  @import 'a', "b";`);
+        assert.deepStrictEqual(imports.map(found => [found.url, found.line, found.column]), [['a', 2, 11], ['b', 2, 16]]);
+    });
+
+    it('should keep paths containing special characters', function () {
+        let imports = scanSassImports(`@import '~@scope/pkg/file', 'icons@2x';`);
+        assert.deepStrictEqual(urls(imports), ['~@scope/pkg/file', 'icons@2x']);
+    });
+
+    it('should skip plain CSS imports', function () {
+        let imports = scanSassImports(`@import url(a.css), 'b.css', 'http://c', 'd' screen;`);
+        assert.deepStrictEqual(urls(imports), []);
+    });
+
+    it('should parse module clauses', function () {
+        let [used, forwarded] = scanSassImports(`@use 'a' as b with ($c: (d: e));\n@forward 'f' hide $g, h;`);
+        assert.strictEqual(used.namespace, 'b');
+        assert.strictEqual(used.configured, true);
+        assert.deepStrictEqual(forwarded.hide, ['$g', 'h']);
+    });
+
+    it('should support the indented syntax', function () {
+        let imports = scanSassImports(`// @import a\n  @import b\n@import c, d\n@use 'e'\nbody\n  color: red`, 'sass');
+        assert.deepStrictEqual(urls(imports), ['c', 'd', 'e']);
+    });
+
+    it('should find meta.load-css() calls through the namespaces of sass:meta', function () {
+        let imports = scanSassImports(`@include meta.load-css('a');\n@use 'sass:meta' as m;\n.x { @include m.load-css("b", $with: (c: d)); }\n@include m.load-css($e);`);
+        assert.deepStrictEqual(imports.filter(found => found.rule === 'load-css' && !found.dynamic).map(found => [found.url, found.line, found.column]), [['b', 3, 26]]);
+    });
+
+    it('should flag dynamic imports and read @sass-deps comments', function () {
+        let imports = scanSassImports(`// @sass-deps: themes/*.scss, tokens.json\n@use 'sass:meta';\n@import 'themes/#{$theme}';\n@include meta.load-css($url);`);
+        assert.deepStrictEqual(imports.filter(found => found.rule !== 'use').map(found => [found.rule, found.url, found.line, found.column, found.dynamic]), [
+            ['pragma', 'themes/*.scss', 1, 16, undefined],
+            ['pragma', 'tokens.json', 1, 31, undefined],
+            ['import', 'themes/#{$theme}', 3, 9, true],
+            ['load-css', '$url', 4, 24, true],
+        ]);
+    });
+
+    describe('#inspect()', function () {
+        before(function (cb) {
+            dependencyTracker.reset();
+            gulp.src(globPattern)
+                .pipe(dependencyTracker.inspect(sassOptions))
+                .on('data', () => {})
+                .on('end', cb);
+        });
+
+        it('should track all targets and nothing commented out', function () {
+            assert.deepStrictEqual(getDependencies(multiImport), [
+                path.resolve('./sass/scanner/_first.scss'),
+                path.resolve('./sass/scanner/_second.scss'),
+            ]);
+        });
+    });
+});
+
+describe('Re-Inspection', function () {
+    let parentPath = path.normalize(parent.path);
+    let partialPath = path.normalize(partialParent.path);
+    let unrelatedPath = path.normalize(unrelated.path);
+
+    beforeEach(function () {
+        dependencyTracker.reset();
+    });
+
+    it('should not duplicate dependencies', function () {
+        return inspectContents(child, `@import "parent";\n@import "partial";`)
+            .then(() => inspectContents(child, `@import "parent";\n@import "partial";`))
+            .then(() => {
+                assert.deepStrictEqual(getDependencies(child), [parentPath, partialPath]);
+            });
+    });
+
+    it('should drop dependencies that have been removed from the file', function () {
+        return inspectContents(child, `@import "parent";\n@import "partial";`)
+            .then(() => inspectContents(child, `@import "partial";`))
+            .then(() => {
+                assert.deepStrictEqual(getDependencies(child), [partialPath]);
+            });
+    });
+
+    it('should keep manually registered dependencies', function () {
+        dependencyTracker.getTree().addDependency(child, unrelated);
+        dependencyTracker.reportImport(`@use 'parent';`, child, sassOptions);
+        return inspectContents(child, `@import "partial";`)
+            .then(() => inspectContents(child, ``))
+            .then(() => {
+                assert.deepStrictEqual(getDependencies(child), [unrelatedPath, parentPath]);
+                assert.deepStrictEqual(dependencyTracker.getTree().getDependencyRules(child, parent), ['use']);
+            });
+    });
+});
+
+describe('Persistent-Cache', function () {
+    const {inDirectory} = withFixture('cache', {
+        'main.scss': `@import 'partial';`,
+        'lib/_partial.scss': `$color: red;`,
+        'theme.scss': `@import 'colors';`,
+        'lib/_colors.scss': `$primary: red;`,
+    });
+    const cacheFile = inDirectory('cache.json');
+    const createTracker = () => new SassDepTracker({suppressOutput: true, cacheFile});
+    let editCache = function (edit) {
+        let cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        edit(cache);
+        fs.writeFileSync(cacheFile, JSON.stringify(cache));
+    };
+
+    before(function (cb) {
+        let tracker = createTracker();
+        gulp.src(globPattern)
+            .pipe(tracker.inspect(sassOptions))
+            .pipe(tracker.reportCompiled())
+            .on('end', cb);
+    });
+
+    it('should restore dependencies and compile states', function () {
+        let tree = createTracker().getTree();
+        assert.strictEqual(tree.isCompiled(child), true, 'Child not restored as compiled!');
+        assert.deepStrictEqual(tree.getDependencies(child), [path.normalize(parent.path), path.normalize(partialParent.path)]);
+    });
+
+    it('should mark files as dirty which changed in between runs', function () {
+        editCache(cache => cache.state.files[path.normalize(partialParent.path)].fingerprint.size += 1);
+        let tree = createTracker().getTree();
+        assert.strictEqual(tree.isCompiled(partialParent), false, 'Partial not marked as dirty!');
+        assert.strictEqual(tree.isCompiled(child), false, 'Child not marked as dirty!');
+        assert.strictEqual(tree.isCompiled(unrelated), true, 'Unrelated marked as dirty!');
+    });
+
+    it('should check dependencies outside of the stream for changes in between runs', function (cb) {
+        let partialsCache = inDirectory('partials.json');
+        let tracker = new SassDepTracker({suppressOutput: true, cacheFile: partialsCache});
+        gulp.src(inDirectory('main.scss'))
+            .pipe(tracker.inspect({includePaths: [inDirectory('lib')]}))
+            .pipe(tracker.reportCompiled())
+            .on('end', () => {
+                fs.writeFileSync(inDirectory('lib/_partial.scss'), `$color: blue !default;`);
+                let tree = new SassDepTracker({suppressOutput: true, cacheFile: partialsCache}).getTree();
+                assert.strictEqual(tree.isCompiled(inDirectory('main.scss')), false, 'Importer of the changed partial not marked as dirty!');
+                cb();
+            });
+    });
+
+    it('should take the compiled version of dependencies outside of the stream over to the next runs', function () {
+        let themeCache = inDirectory('theme.json');
+        let run = function () {
+            let tracker = new SassDepTracker({suppressOutput: true, cacheFile: themeCache});
+            let wasCompiled = tracker.getTree().isCompiled(inDirectory('theme.scss'));
+            return new Promise(function (resolve) {
+                gulp.src(inDirectory('theme.scss'))
+                    .pipe(tracker.inspect({includePaths: [inDirectory('lib')]}))
+                    .pipe(tracker.reportCompiled())
+                    .on('end', () => resolve(wasCompiled));
+            });
+        };
+
+        return run().then(function () {
+            fs.writeFileSync(inDirectory('lib/_colors.scss'), `$primary: blue !default;`);
+            return run();
+        }).then(function (wasCompiled) {
+            assert.strictEqual(wasCompiled, false, 'Importer of the changed partial not marked as dirty!');
+            return run();
+        }).then(function (wasCompiled) {
+            assert.strictEqual(wasCompiled, true, 'Importer still dirty after it has been compiled!');
+        });
+    });
+
+    it('should discard a cache that does not match the configuration', function () {
+        let configuredCache = inDirectory('configured.json');
+        let tracker = new SassDepTracker({suppressOutput: true, cacheFile: configuredCache, extractors: [{name: 'json', pattern: /([\w-]+\.json)/}]});
+        tracker.getTree().addDependency(inDirectory('main.scss'), inDirectory('tokens.json'), 'json');
+        tracker.saveCache();
+
+        let discarded = [];
+        let restored = new SassDepTracker({cacheFile: configuredCache, logger: entry => discarded.push(entry.event)});
+        assert.deepStrictEqual(restored.getTree().getFiles(), [], 'Incompatible cache has been restored!');
+        assert.deepStrictEqual(discarded, ['cache-discarded']);
+    });
+
+    it('should discard a cache without files', function () {
+        let emptyCache = inDirectory('empty.json');
+        fs.writeFileSync(emptyCache, JSON.stringify({version: CACHE_VERSION, packageVersion: require('../package.json').version, state: {}}));
+        let tree = new SassDepTracker({suppressOutput: true, cacheFile: emptyCache}).getTree();
+        assert.deepStrictEqual(tree.getFiles(), [], 'Empty cache has been restored!');
+    });
+
+    it('should discard a cache of another version', function () {
+        editCache(cache => cache.version = -1);
+        let tree = createTracker().getTree();
+        assert.deepStrictEqual(tree.getFiles(), [], 'Outdated cache has been restored!');
+    });
+});
+
+describe('Change-Detection', function () {
+    const {directory, inDirectory} = withFixture('changes', {
+        'main.scss': `@import 'dependency';`,
+        '_dependency.scss': `$color: red;`,
+    });
+    const mainPath = inDirectory('main.scss');
+    const dependencyPath = inDirectory('_dependency.scss');
+    const tracker = new SassDepTracker({suppressOutput: true});
+
+    let compile = function (glob) {
+        let files = [];
+        return new Promise(function (resolve, reject) {
+            gulp.src(glob)
+                .pipe(tracker.filter({detectChanges: true}))
+                .pipe(tracker.inspect({includePaths: [directory]}))
+                .pipe(aggregateFilesFromStream(files))
+                .pipe(tracker.reportCompiled())
+                .on('end', () => resolve(files))
+                .on('error', reject);
+        });
+    };
+
+    before(function () {
+        return compile(path.join(directory, '*.scss'));
+    });
+
+    it('will include no file for unchanged contents', function () {
+        return compile(path.join(directory, '*.scss')).then(files => {
+            assert.deepStrictEqual(files, []);
+        });
+    });
+
+    it('will include dependents of a changed dependency that is not in the stream', function () {
+        fs.writeFileSync(dependencyPath, `$color: blue;`);
+        return compile(mainPath).then(files => {
+            assert.deepStrictEqual(files, [mainPath]);
+        });
+    });
+});
+
+describe('Dependents', function () {
+    before(function (cb) {
+        dependencyTracker.reset();
+        gulp.src(globPattern)
+            .pipe(dependencyTracker.inspect(sassOptions))
+            .on('data', () => {})
+            .on('end', cb);
+    });
+
+    it('should list the direct dependents of a file', function () {
+        let dependents = dependencyTracker.getTree().getDependents(parent);
+        assert(dependents.includes(path.normalize(child.path)), 'Child not listed as dependent!');
+        assert(dependents.includes(path.normalize(unrelated.path)), 'Unrelated not listed as dependent!');
+        assert(dependents.includes(path.normalize(sassyFile.path)), 'Sassy file not listed as dependent!');
+    });
+
+    it('should list transitive dependents when deep', function () {
+        let tree = dependencyTracker.getTree();
+        tree.addDependency(sassyFile, child);
+        assert(!tree.getDependents(partialParent).includes(path.normalize(sassyFile.path)), 'Transitive dependent listed!');
+        assert(tree.getDependents(partialParent, true).includes(path.normalize(sassyFile.path)), 'Transitive dependent not listed!');
+    });
+
+    it('should forget removed dependencies', function () {
+        let tree = dependencyTracker.getTree();
+        tree.removeDependency(unrelated, parent);
+        assert(!tree.getDependents(parent).includes(path.normalize(unrelated.path)), 'Removed dependent still listed!');
+    });
+});
+
+describe('Circular-Dependencies', function () {
+    const pingPath = path.resolve('./sass/cycles/_ping.scss');
+    const pongPath = path.resolve('./sass/cycles/_pong.scss');
+
+    before(function (cb) {
+        dependencyTracker.reset();
+        gulp.src(globPattern)
+            .pipe(dependencyTracker.inspect(sassOptions))
+            .on('data', () => {})
+            .on('end', cb);
+    });
+
+    it('should survive deep lookups', function () {
+        assert.deepStrictEqual(dependencyTracker.getTree().getDependencies(pingPath, true), [pongPath, pingPath]);
+        assert.deepStrictEqual(dependencyTracker.getTree().getDependents(pingPath, true), [pongPath, pingPath]);
+    });
+
+    it('should find the cycle', function () {
+        assert.deepStrictEqual(dependencyTracker.getTree().findCycles(), [[pingPath, pongPath, pingPath]]);
+        assert.deepStrictEqual(dependencyTracker.getTree().findCycles(pongPath), [[pongPath, pingPath, pongPath]]);
+        assert.deepStrictEqual(dependencyTracker.getTree().findCycles(child), []);
+    });
+
+    it('should leave the tree untouched when looking for cycles', function () {
+        const SassDependencyTree = require('../src/dependency-tree');
+        let tree = new SassDependencyTree();
+        tree.addDependency(pingPath, pongPath);
+        tree.markAsCompiled(pingPath);
+
+        let files = tree.getFiles();
+        let state = JSON.stringify(tree.exportState());
+        assert.deepStrictEqual(tree.findCycles(), []);
+        assert.deepStrictEqual(tree.getFiles(), files, 'Dependency has been added as a file!');
+        assert.strictEqual(JSON.stringify(tree.exportState()), state, 'File states have changed!');
+    });
+
+    it('should fail the inspection when configured to', function () {
+        let tracker = new SassDepTracker({suppressOutput: true, onCycle: 'error'});
+        return new Promise(function (resolve, reject) {
+            gulp.src('./sass/cycles/*.scss')
+                .pipe(tracker.inspect(sassOptions))
+                .on('data', () => {})
+                .on('end', () => reject(new Error('No error has been emitted!')))
+                .on('error', resolve);
+        }).then(function (error) {
+            assert(error.message.startsWith('Circular dependency:'), `Unexpected error: ${error.message}`);
+        });
+    });
+});
+
+describe('Entrypoint-Filter', function () {
+    const {directory, inDirectory} = withFixture('entrypoints', {
+        'main.scss': `@import 'layout';`,
+        '_layout.scss': `@import 'grid';`,
+        '_grid.scss': `$columns: 12;`,
+    });
+    const tracker = new SassDepTracker({suppressOutput: true});
+
+    let filterFiles = function (glob, entrypoints, filteringTracker = tracker) {
+        let files = [];
+        return new Promise(function (resolve, reject) {
+            gulp.src(glob)
+                .pipe(filteringTracker.filter({entrypoints, sassOptions}))
+                .pipe(aggregateFilesFromStream(files))
+                .on('end', () => resolve(files))
+                .on('error', reject);
+        });
+    };
+
+    beforeEach(function (cb) {
+        tracker.reset();
+        gulp.src(globPattern)
+            .pipe(tracker.inspect(sassOptions))
+            .pipe(tracker.reportCompiled())
+            .on('end', cb);
+    });
+
+    it('should swap a changed partial for its entrypoints', function () {
+        tracker.queueRebuild(partialParent);
+        return filterFiles(globPattern, true).then(files => {
+            assert.deepStrictEqual(files, [path.normalize(child.path)]);
+            assert.strictEqual(tracker.getTree().isCompiled(partialParent), true, 'Partial still dirty!');
+        });
+    });
+
+    it('should pass on or drop non-sass files as configured', function () {
+        let filterData = filterNonSass => new Promise(function (resolve, reject) {
+            let files = [];
+            let stream = new SassDepTracker({suppressOutput: true, filterNonSass}).filter({entrypoints: true});
+            stream.pipe(aggregateFilesFromStream(files))
+                .on('end', () => resolve(files))
+                .on('error', reject);
+            stream.write(new Vinyl({cwd: commonCWD, base: commonBase, path: path.resolve('./sass/data.json'), contents: Buffer.from('{}')}));
+            stream.end();
+        });
+
+        return Promise.all([filterData(false), filterData(true)]).then(([passed, dropped]) => {
+            assert.deepStrictEqual(passed, [path.resolve('./sass/data.json')]);
+            assert.deepStrictEqual(dropped, []);
+        });
+    });
+
+    it('should read entrypoints from disk that are not in the stream', function () {
+        tracker.queueRebuild(partialParent);
+        return filterFiles('./sass/_partial.scss', true).then(files => {
+            assert.deepStrictEqual(files, [path.normalize(child.path)]);
+        });
+    });
+
+    it('should support globs to match entrypoints', function () {
+        tracker.queueRebuild(parent);
+        return filterFiles(globPattern, ['./sass/*.s[ac]ss', '!./sass/unrelated.scss']).then(files => {
+            assert(files.includes(path.normalize(child.path)), 'Child not included!');
+            assert(files.includes(path.normalize(sassyFile.path)), 'Sassy file not included!');
+            assert(!files.includes(path.normalize(unrelated.path)), 'Excluded entrypoint included!');
+        });
+    });
+
+    it('should swap changes of nested partials for their entrypoints', function () {
+        let warnings = [];
+        let nestedTracker = new SassDepTracker({logger: entry => entry.level === 'warn' && warnings.push(entry.message)});
+        let glob = `${directory}/*.scss`;
+
+        return filterFiles(glob, true, nestedTracker).then(files => {
+            assert.deepStrictEqual(files, [inDirectory('main.scss')]);
+            assert.deepStrictEqual(nestedTracker.getTree().getDependents(inDirectory('_grid.scss'), true), [inDirectory('_layout.scss'), inDirectory('main.scss')]);
+            nestedTracker.getTree().markAsCompiled(inDirectory('main.scss'));
+
+            nestedTracker.queueRebuild(inDirectory('_grid.scss'));
+            return filterFiles(glob, true, nestedTracker);
+        }).then(files => {
+            assert.deepStrictEqual(files, [inDirectory('main.scss')]);
+            assert.deepStrictEqual(warnings, [], 'Nested partials reported as unused!');
+        });
+    });
+
+    it('should drop partials that are not used by any entrypoint', function () {
+        tracker.queueRebuild('./sass/cycles/_ping.scss');
+        return filterFiles(globPattern, true).then(files => {
+            assert.deepStrictEqual(files, []);
+        });
+    });
+});
+
+describe('Removed-Files', function () {
+    const {directory, inDirectory} = withFixture('removal', {
+        'main.scss': `@import 'renamed';`,
+        '_renamed.scss': `$color: red;`,
+    });
+    const mainPath = inDirectory('main.scss');
+    const partialPath = inDirectory('_renamed.scss');
+    const renamedPath = inDirectory('renamed.scss');
+    const tracker = new SassDepTracker({suppressOutput: true});
+    const options = {includePaths: [directory]};
+
+    let runStream = function (glob, ...streams) {
+        return new Promise(function (resolve, reject) {
+            let stream = gulp.src(glob);
+            for (let next of streams) {
+                stream = stream.pipe(next);
+            }
+            stream.on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+        });
+    };
+
+    before(function () {
+        return runStream(path.join(directory, '*.scss'), tracker.inspect(options), tracker.reportCompiled());
+    });
+
+    it('should drop the file and mark its dependents dirty', function () {
+        fs.renameSync(partialPath, renamedPath);
+        tracker.removeFile(partialPath);
+
+        let tree = tracker.getTree();
+        assert(!tree.getFiles().includes(partialPath), 'Removed file still tracked!');
+        assert.deepStrictEqual(tree.getDependencies(mainPath), []);
+        assert.strictEqual(tree.isCompiled(mainPath), false, 'Dependent not marked dirty!');
+        assert.deepStrictEqual(tree.getUnresolved().map(unresolved => [unresolved.file, unresolved.url]), [[mainPath, 'renamed']]);
+    });
+
+    it('should drop files that are only known as a dependency', function () {
+        let tree = new SassDepTracker({suppressOutput: true}).getTree();
+        let tokensPath = inDirectory('tokens.json');
+        tree.addDependency(mainPath, tokensPath, 'import', 'tokens.json');
+        tree.markAsCompiled(mainPath);
+        tree.removeFile(tokensPath);
+
+        assert.deepStrictEqual(tree.getDependencies(mainPath), []);
+        assert.deepStrictEqual(tree.getDependents(tokensPath), []);
+        assert.strictEqual(tree.isCompiled(mainPath), false, 'Dependent not marked dirty!');
+        assert.deepStrictEqual(tree.getUnresolved().map(unresolved => [unresolved.file, unresolved.url]), [[mainPath, 'tokens.json']]);
+    });
+
+    it('should not bring back removed files when reporting them as compiled', function () {
+        let removed = new Vinyl({cwd: directory, base: directory, path: partialPath, contents: Buffer.from('')});
+        let stream = tracker.reportCompiled();
+        stream.write(removed);
+        stream.end();
+        assert(!tracker.getTree().getFiles().includes(partialPath), 'Removed file is tracked again!');
+    });
+
+    it('should resolve the import once the replacement has been inspected', function () {
+        return runStream(renamedPath, tracker.inspect(options)).then(() => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(mainPath), [renamedPath]);
+            assert.deepStrictEqual(tracker.getTree().getUnresolved(), []);
+        });
+    });
+});
+
+describe('Watcher', function () {
+    const tracker = new SassDepTracker({suppressOutput: true});
+    const childPath = path.normalize(child.path);
+
+    beforeEach(function (cb) {
+        tracker.reset();
+        gulp.src(globPattern)
+            .pipe(tracker.inspect(sassOptions))
+            .pipe(tracker.reportCompiled())
+            .on('end', cb);
+    });
+
+    it('should create the watcher with the watch function of the options', function () {
+        let created = new EventEmitter();
+        let calls = [];
+        let watcher = tracker.watch('./sass/**/*.scss', () => {}, {watch: (...args) => calls.push(args) && created, watchOptions: {delay: 5}});
+        assert.strictEqual(watcher, created);
+        assert.deepStrictEqual(calls, [['./sass/**/*.scss', {delay: 5}]]);
+    });
+
+    it('should debounce bursts of events into a single task run', function () {
+        let watcher = new EventEmitter();
+        let runs = 0;
+        return new Promise(function (resolve) {
+            tracker.attach(watcher, {
+                delay: 10,
+                task: () => {
+                    runs++;
+                    setTimeout(resolve, 30);
+                },
+            });
+            watcher.emit('change', './sass/_partial.scss');
+            watcher.emit('change', './sass/parent.scss');
+            watcher.emit('change', {type: 'changed', path: path.resolve('./sass/unrelated.scss')});
+        }).then(() => {
+            assert.strictEqual(runs, 1, 'Task has not been run exactly once!');
+            assert.strictEqual(tracker.getTree().isCompiled(childPath), false, 'Child not marked dirty!');
+            assert.strictEqual(tracker.getTree().isCompiled(unrelated), false, 'Unrelated not marked dirty!');
+        });
+    });
+
+    it('should wait for the orchestrator of gulp 3 to stop', function () {
+        let watcher = new EventEmitter();
+        let orchestrator = new EventEmitter();
+        let runs = 0;
+        return new Promise(function (resolve) {
+            tracker.attach(watcher, {
+                delay: 5,
+                task: () => {
+                    runs++;
+                    setTimeout(() => orchestrator.emit(runs === 1 ? 'stop' : 'err', {message: 'orchestration failed', err: new Error('Failed')}), 10);
+                    if (runs === 1) {
+                        setTimeout(() => watcher.emit('change', './sass/parent.scss'), 20);
+                    } else {
+                        setTimeout(resolve, 20);
+                    }
+                    return orchestrator;
+                },
+            });
+            watcher.emit('change', './sass/_partial.scss');
+        }).then(() => {
+            assert.strictEqual(runs, 2, 'Task has not been run again after the orchestrator stopped!');
+            assert.strictEqual(orchestrator.listenerCount('stop') + orchestrator.listenerCount('err'), 0, 'Listeners left on the orchestrator!');
+        });
+    });
+
+    it('should remove deleted files', function () {
+        let watcher = tracker.attach(new EventEmitter());
+        watcher.emit('unlink', './sass/_partial.scss');
+        assert(!tracker.getTree().getFiles().includes(path.normalize(partialParent.path)), 'Deleted file still tracked!');
+        assert.strictEqual(tracker.getTree().isCompiled(childPath), false, 'Child not marked dirty!');
+    });
+
+    it('should resolve waiting imports when files are added', function () {
+        const added = path.resolve('./sass/_added-later.scss');
+        let watcher = tracker.attach(new EventEmitter(), {sassOptions});
+        tracker.reportImport(`@import 'added-later';`, child, sassOptions);
+
+        fs.writeFileSync(added, '');
+        try {
+            watcher.emit('add', added);
+        } finally {
+            fs.unlinkSync(added);
+        }
+        assert(tracker.getTree().getDependencies(child).includes(path.normalize(added)), 'Added file not resolved!');
+        assert.strictEqual(tracker.getTree().isCompiled(childPath), false, 'Child not marked dirty!');
+    });
+});
+
+describe('Import-Resolution', function () {
+    const {directory, inDirectory} = withFixture('resolution', {
+        'components/_index.scss': '',
+        'plain.css': '',
+        'theme.import.scss': '',
+        '_theme.scss': '',
+        '_duplicate.scss': '',
+        'duplicate.scss': '',
+        'node_modules/library/package.json': JSON.stringify({sass: 'scss/_library.scss'}),
+        'node_modules/library/scss/_library.scss': '',
+        'node_modules/library/scss/_mixins.scss': '',
+        'node_modules/@scope/exported/package.json': JSON.stringify({
+            exports: {
+                '.': {style: './dist/index.css'},
+                './theme': {sass: './dist/_theme.scss'},
+            },
+        }),
+        'node_modules/@scope/exported/dist/index.css': '',
+        'node_modules/@scope/exported/dist/_theme.scss': '',
+    });
+    const resolve = (url, rule = 'import') => resolveSassImport(url, directory, directory, {rule});
+
+    it('should resolve directory index files', function () {
+        assert.strictEqual(resolve('components'), inDirectory('components/_index.scss'));
+    });
+
+    it('should resolve CSS files', function () {
+        assert.strictEqual(resolve('plain', 'use'), inDirectory('plain.css'));
+    });
+
+    it('should prefer import-only files for @import', function () {
+        assert.strictEqual(resolve('theme'), inDirectory('theme.import.scss'));
+        assert.strictEqual(resolve('theme', 'use'), inDirectory('_theme.scss'));
+    });
+
+    it('should report ambiguous imports like sass', function () {
+        assert.throws(() => resolve('duplicate'), /^Error: It's not clear which file to import\. Found:/);
+    });
+
+    it('should resolve node_modules imports with a tilde', function () {
+        assert.strictEqual(resolve('~library/scss/mixins'), inDirectory('node_modules/library/scss/_mixins.scss'));
+    });
+
+    it('should resolve package urls through package.json', function () {
+        assert.strictEqual(resolve('pkg:library', 'use'), inDirectory('node_modules/library/scss/_library.scss'));
+        assert.strictEqual(resolve('pkg:@scope/exported', 'use'), inDirectory('node_modules/@scope/exported/dist/index.css'));
+        assert.strictEqual(resolve('pkg:@scope/exported/theme', 'use'), inDirectory('node_modules/@scope/exported/dist/_theme.scss'));
+    });
+});
+
+describe('Custom-Importers', function () {
+    const {URL} = require('url');
+
+    const inspectWith = function (importerOptions, contents) {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        let inspected = unrelated.clone();
+        inspected.contents = Buffer.from(contents);
+        return new Promise(function (resolve, reject) {
+            let stream = tracker.inspect(Object.assign({includePaths: [commonBase]}, importerOptions));
+            stream.on('data', () => {})
+                .on('end', () => resolve(tracker))
+                .on('error', reject);
+            stream.write(inspected);
+            stream.end();
+        });
+    };
+    const aliasTo = url => url.startsWith('@alias/') ? path.join(commonBase, url.substr('@alias/'.length)) : null;
+
+    it('should resolve through synchronous legacy importers', function () {
+        let importer = url => aliasTo(url) !== null ? {file: aliasTo(url)} : null;
+        return inspectWith({importer: [importer]}, '@import "@alias/child";').then(tracker => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(unrelated), [childPath]);
+        });
+    });
+
+    it('should wait for legacy importers calling done', function () {
+        let importer = function (url, prev, done) {
+            assert.strictEqual(prev, path.normalize(unrelated.path));
+            setTimeout(() => done({file: aliasTo(url)}), 5);
+        };
+        return inspectWith({importer}, '@import "@alias/partial";').then(tracker => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(unrelated), [path.normalize(partialParent.path)]);
+        });
+    });
+
+    it('should resolve through modern importers', function () {
+        let canonicalizing = {
+            canonicalize: url => Promise.resolve(url === '@alias/child' ? new URL(`file://${childPath}`) : null),
+            load: () => null,
+        };
+        let fileUrls = {
+            findFileUrl: url => aliasTo(url) !== null ? new URL(`file://${aliasTo(url)}`) : null,
+        };
+        return inspectWith({importers: [canonicalizing, fileUrls]}, '@use "@alias/child";\n@use "@alias/partial";').then(tracker => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(unrelated), [childPath, path.normalize(partialParent.path)]);
+        });
+    });
+
+    it('should skip imports of generated contents', function () {
+        let importer = url => url === 'generated' ? {contents: '$generated: true;'} : null;
+        return inspectWith({importer}, '@import "generated";\n@import "child";').then(tracker => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(unrelated), [childPath]);
+            assert.deepStrictEqual(tracker.getTree().getUnresolved(unrelated), []);
+        });
+    });
+
+    it('should record imports as unresolved when an importer fails', function () {
+        let importers = [{findFileUrl: () => Promise.reject(new Error('Importer failed'))}];
+        return inspectWith({importers}, '@use "broken";').then(tracker => {
+            assert.deepStrictEqual(tracker.getTree().getUnresolved(unrelated).map(unresolved => unresolved.url), ['broken']);
+        });
+    });
+});
+
+describe('Load-Paths', function () {
+    const {resolveLoadPaths, findLoadPathTypos} = require('../src/load-paths');
+    const {directory, inDirectory} = withFixture('load-paths', {
+        'styles/_colors.scss': '',
+        'vendor/_colors.scss': '',
+        'vendor/_grid.scss': '',
+        'shared/_grid.scss': '',
+    });
+
+    it('should combine includePaths, loadPaths and SASS_PATH', function () {
+        let loadPaths = resolveLoadPaths(
+            {includePaths: [inDirectory('vendor')], loadPaths: [inDirectory('shared'), inDirectory('vendor')]},
+            {SASS_PATH: [inDirectory('styles'), inDirectory('shared')].join(process.platform === 'win32' ? ';' : ':')}
+        );
+        assert.deepStrictEqual(loadPaths, [inDirectory('vendor'), inDirectory('shared'), inDirectory('styles')]);
+    });
+
+    it('should detect misspelled load path options', function () {
+        let typos = findLoadPathTypos({includePathes: [], load_path: [], includePaths: [], outputStyle: 'compressed'});
+        assert.deepStrictEqual(typos, [
+            {key: 'includePathes', suggestion: 'includePaths'},
+            {key: 'load_path', suggestion: 'loadPaths'},
+        ]);
+    });
+
+    it('should resolve imports without any sass options', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        let file = new Vinyl({
+            cwd: directory,
+            base: inDirectory('styles'),
+            path: inDirectory('styles/main.scss'),
+            contents: Buffer.from(`@import 'colors';`),
+        });
+        return new Promise(function (resolve, reject) {
+            let stream = tracker.inspect();
+            stream.on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+            stream.write(file);
+            stream.end();
+        }).then(() => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(file), [inDirectory('styles/_colors.scss')]);
+            tracker.getTree().addUnresolved(file, {url: 'missing'});
+            assert.deepStrictEqual(tracker.retryUnresolved(), []);
+        });
+    });
+
+    it('should prefer paths relative to the importing file over load paths in order', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        let file = new Vinyl({
+            cwd: directory,
+            base: directory,
+            path: inDirectory('styles/main.scss'),
+            contents: Buffer.from('@use "colors";\n@use "grid";'),
+        });
+
+        return new Promise(function (resolve, reject) {
+            let stream = tracker.inspect({loadPaths: [inDirectory('vendor'), inDirectory('shared')]});
+            stream.on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+            stream.write(file);
+            stream.end();
+        }).then(() => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(file), [
+                inDirectory('styles/_colors.scss'),
+                inDirectory('vendor/_grid.scss'),
+            ]);
+        });
+    });
+});
+
+describe('Graph-Export', function () {
+    const SassDependencyTree = require('../src/dependency-tree');
+    const base = path.normalize(path.resolve('./graph'));
+    const inBase = relativePath => path.join(base, relativePath);
+    let tree;
+
+    beforeEach(function () {
+        tree = new SassDependencyTree();
+        tree.addDependency(inBase('main.scss'), inBase('_theme.scss'), 'use');
+        tree.addDependency(inBase('admin.scss'), inBase('_theme.scss'), 'import');
+        tree.addDependency(inBase('_theme.scss'), inBase('_colors.scss'), 'forward');
+        tree.markAsCompiled(inBase('admin.scss'));
+    });
+
+    it('should export stable JSON with relative paths and compile states', function () {
+        let graph = JSON.parse(tree.exportGraph({format: 'json', basePath: base}));
+        assert.deepStrictEqual(graph, {
+            nodes: [
+                {path: '_colors.scss', state: 'untracked'},
+                {path: '_theme.scss', state: 'dirty'},
+                {path: 'admin.scss', state: 'compiled'},
+                {path: 'main.scss', state: 'dirty'},
+            ],
+            edges: [
+                {from: '_theme.scss', to: '_colors.scss', rules: ['forward']},
+                {from: 'admin.scss', to: '_theme.scss', rules: ['import']},
+                {from: 'main.scss', to: '_theme.scss', rules: ['use']},
+            ],
+        });
+    });
+
+    it('should export the subgraph of the files depending on a file', function () {
+        let graph = JSON.parse(tree.exportGraph({root: inBase('_colors.scss'), direction: 'dependents', basePath: inBase('..')}));
+        assert.deepStrictEqual(graph.nodes.map(node => node.path), ['graph/_colors.scss', 'graph/_theme.scss', 'graph/admin.scss', 'graph/main.scss']);
+
+        graph = JSON.parse(tree.exportGraph({root: inBase('admin.scss'), basePath: base}));
+        assert.deepStrictEqual(graph.nodes.map(node => node.path), ['_colors.scss', '_theme.scss', 'admin.scss']);
+    });
+
+    it('should export Graphviz DOT', function () {
+        let dot = tree.exportGraph({format: 'dot', basePath: base});
+        assert.ok(dot.startsWith('digraph "sass-dependencies" {'));
+        assert.ok(dot.includes('"main.scss" -> "_theme.scss" [label="@use"];'));
+        assert.ok(dot.includes('"admin.scss" [label="admin.scss\\n(compiled)", fillcolor="#c8e6c9"];'));
+    });
+
+    it('should export Mermaid flowcharts', function () {
+        let mermaid = tree.exportGraph({format: 'mermaid', basePath: base}).split('\n');
+        assert.strictEqual(mermaid[0], 'graph LR');
+        assert.ok(mermaid.includes('    n2["admin.scss<br/>(compiled)"]:::compiled'));
+        assert.ok(mermaid.includes('    n2 -->|"@import"| n1'));
+    });
+
+    it('should reject unknown formats', function () {
+        assert.throws(() => tree.exportGraph({format: 'svg'}), /^Error: Unknown graph format: svg/);
+    });
+});
+
+describe('Command-Line-Interface', function () {
+    const cli = require('../src/cli');
+    const runCli = function (...argv) {
+        let output = {stdout: '', stderr: ''};
+        let io = {
+            stdout: {write: text => output.stdout += text},
+            stderr: {write: text => output.stderr += text},
+        };
+        return cli.run(argv.concat(['--glob', globPattern]), io).then(exitCode => Object.assign(output, {exitCode}));
+    };
+
+    it('should list dependencies and dependents', function () {
+        return runCli('deps', 'sass/child.scss').then(result => {
+            assert.strictEqual(result.exitCode, cli.EXIT_CODES.success);
+            assert.strictEqual(result.stdout, 'sass/_partial.scss\nsass/parent.scss\n');
+            return runCli('dependents', 'sass/cycles/_ping.scss', '--deep');
+        }).then(result => {
+            assert.strictEqual(result.stdout, 'sass/cycles/_ping.scss\nsass/cycles/_pong.scss\n');
+        });
+    });
+
+    it('should list the entrypoints affected by changed files', function () {
+        return runCli('affected', 'sass/_partial.scss', 'sass/parent.scss').then(result => {
+            assert.strictEqual(result.stdout, 'sass/child.scss\nsass/parent.scss\nsass/sassfile.sass\nsass/unrelated.scss\n');
+        });
+    });
+
+    it('should export the graph', function () {
+        return runCli('graph', 'sass/child.scss', '--format', 'dot').then(result => {
+            assert.ok(result.stdout.includes('"sass/child.scss" -> "sass/parent.scss" [label="@import"];'));
+        });
+    });
+
+    it('should fail on cycles when asked to', function () {
+        return runCli('deps', 'sass/child.scss', '--fail-on-cycles').then(result => {
+            assert.strictEqual(result.exitCode, cli.EXIT_CODES.cycles);
+            assert.ok(result.stderr.includes('Circular import: sass/cycles/_ping.scss -> sass/cycles/_pong.scss'));
+        });
+    });
+
+    it('should list unresolved imports and exit accordingly', function () {
+        let missingImport = path.join(path.normalize(os.tmpdir()), `sass-dependency-cli-${process.pid}.scss`);
+        fs.writeFileSync(missingImport, '\n@use "missing";');
+        let output = '';
+        return cli.run(['unresolved', '--glob', missingImport], {stdout: {write: text => output += text}, stderr: {write: () => {}}}).then(exitCode => {
+            fs.unlinkSync(missingImport);
+            assert.strictEqual(exitCode, cli.EXIT_CODES.unresolved);
+            assert.ok(output.endsWith(`sass-dependency-cli-${process.pid}.scss:2:6: missing\n`));
+        });
+    });
+
+    it('should reject more than one root for the graph', function () {
+        return runCli('graph', 'sass/child.scss', 'sass/parent.scss').then(result => {
+            assert.strictEqual(result.exitCode, cli.EXIT_CODES.error);
+            assert.strictEqual(result.stderr, 'The "graph" command expects at most one file.\n');
+        });
+    });
+
+    it('should reject unknown commands and options', function () {
+        assert.throws(() => cli.parseArguments(['deps', '--wat']), /^Error: Unknown option: --wat$/);
+        return runCli('bogus').then(result => {
+            assert.strictEqual(result.exitCode, cli.EXIT_CODES.error);
+            assert.ok(result.stderr.startsWith('Unknown command: bogus'));
+        });
+    });
+});
+
+describe('Directory-Scanner', function () {
+    const {directory, inDirectory} = withFixture('scan', {
+        'entry/main.scss': '@use "lib";',
+        'entry/_local.scss': '',
+        'vendor/_lib.scss': '@import "deep";',
+        'vendor/_deep.scss': '',
+        'vendor/_unused.scss': '',
+    });
+
+    it('should scan directories and follow resolved imports', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        return tracker.scan(inDirectory('entry'), {loadPaths: [inDirectory('vendor')]}).then(scannedFiles => {
+            assert.deepStrictEqual(scannedFiles.sort(), [
+                'entry/_local.scss', 'entry/main.scss', 'vendor/_deep.scss', 'vendor/_lib.scss',
+            ].map(inDirectory));
+            assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('entry/main.scss'), true), [
+                inDirectory('vendor/_lib.scss'),
+                inDirectory('vendor/_deep.scss'),
+            ]);
+        });
+    });
+
+    it('should stay consistent with the stream based inspection', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        let sassOptions = {loadPaths: [inDirectory('vendor')]};
+        let scannedGraph;
+        return tracker.scan([inDirectory('entry/*.scss')], sassOptions).then(() => {
+            scannedGraph = tracker.getTree().exportGraph({basePath: directory});
+            return new Promise(function (resolve, reject) {
+                gulp.src(inDirectory('**/*.scss'))
+                    .pipe(tracker.inspect(sassOptions))
+                    .on('data', () => {})
+                    .on('end', resolve)
+                    .on('error', reject);
+            });
+        }).then(() => {
+            let inspectedGraph = JSON.parse(tracker.getTree().exportGraph({basePath: directory}));
+            assert.deepStrictEqual(inspectedGraph.edges, JSON.parse(scannedGraph).edges);
+            assert.ok(inspectedGraph.nodes.some(node => node.path === 'vendor/_unused.scss'));
+        });
+    });
+});
+
+describe('Events', function () {
+    const SassDependencyTree = require('../src/dependency-tree');
+    const base = path.normalize(path.resolve('./events'));
+    const inBase = relativePath => path.join(base, relativePath);
+    const record = (emitter, event) => {
+        let payloads = [];
+        emitter.on(event, payload => payloads.push(payload));
+        return payloads;
+    };
+
+    it('should emit tree mutations', function () {
+        let tree = new SassDependencyTree();
+        let added = record(tree, 'dependency-added');
+        let removed = record(tree, 'dependency-removed');
+        let unresolved = record(tree, 'unresolved-import');
+
+        tree.addDependency(inBase('main.scss'), inBase('_theme.scss'), 'use', 'theme');
+        tree.addDependency(inBase('main.scss'), inBase('_theme.scss'), 'import', 'theme');
+        tree.replaceDependencies(inBase('main.scss'), [{path: inBase('_colors.scss'), rule: 'use', url: 'colors'}]);
+        tree.removeDependency(inBase('main.scss'), inBase('_theme.scss'));
+        tree.addUnresolved(inBase('main.scss'), {url: 'missing', rule: 'use', line: 3, column: 6});
+
+        assert.deepStrictEqual(added, [
+            {file: inBase('main.scss'), dependency: inBase('_theme.scss'), rule: 'use', origin: 'manual', url: 'theme'},
+            {file: inBase('main.scss'), dependency: inBase('_colors.scss'), rule: 'use', origin: 'inspect', url: 'colors'},
+        ]);
+        assert.deepStrictEqual(removed, [{file: inBase('main.scss'), dependency: inBase('_theme.scss')}]);
+        assert.deepStrictEqual(unresolved, [
+            {file: inBase('main.scss'), url: 'missing', rule: 'use', line: 3, column: 6, origin: 'manual'},
+        ]);
+    });
+
+    it('should emit compile state changes with the propagation path', function () {
+        let tree = new SassDependencyTree();
+        tree.addDependency(inBase('main.scss'), inBase('_theme.scss'));
+        tree.addDependency(inBase('_theme.scss'), inBase('_colors.scss'));
+        let compiled = record(tree, 'compiled');
+        let invalidated = record(tree, 'invalidated');
+
+        [inBase('main.scss'), inBase('_theme.scss'), inBase('_colors.scss')].forEach(file => tree.markAsCompiled(file));
+        tree.markAsNotCompiled(inBase('_colors.scss'));
+
+        assert.deepStrictEqual(compiled.map(payload => payload.file), [inBase('main.scss'), inBase('_theme.scss'), inBase('_colors.scss')]);
+        assert.deepStrictEqual(invalidated, [
+            {file: inBase('_colors.scss'), origin: inBase('_colors.scss'), path: [inBase('_colors.scss')], reason: 'changed'},
+            {file: inBase('_theme.scss'), origin: inBase('_colors.scss'), path: [inBase('_colors.scss'), inBase('_theme.scss')], reason: 'changed'},
+            {file: inBase('main.scss'), origin: inBase('_colors.scss'), path: [inBase('_colors.scss'), inBase('_theme.scss'), inBase('main.scss')], reason: 'changed'},
+        ]);
+    });
+
+    it('should forward tree events and emit detected cycles from the tracker', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        let added = record(tracker, 'dependency-added');
+        let cycles = record(tracker, 'cycle-detected');
+
+        return new Promise(function (resolve, reject) {
+            gulp.src('./sass/cycles/*.scss')
+                .pipe(tracker.inspect({}))
+                .on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+        }).then(() => {
+            let ping = path.resolve('./sass/cycles/_ping.scss');
+            let pong = path.resolve('./sass/cycles/_pong.scss');
+            assert.deepStrictEqual(added.map(payload => [payload.file, payload.dependency]), [[ping, pong], [pong, ping]]);
+            assert.deepStrictEqual(cycles, [{file: pong, cycle: [pong, ping, pong]}]);
+        });
+    });
+});
+
+describe('Rebuild-Explanation', function () {
+    const base = path.normalize(path.resolve('./explain'));
+    const inBase = relativePath => path.join(base, relativePath);
+    let tracker;
+
+    beforeEach(function () {
+        tracker = new SassDepTracker({suppressOutput: true});
+        tracker.getTree().addDependency(inBase('main.scss'), inBase('_layout.scss'));
+        tracker.getTree().addDependency(inBase('_layout.scss'), inBase('_grid.scss'));
+        [inBase('main.scss'), inBase('_layout.scss'), inBase('_grid.scss')].forEach(file => tracker.getTree().markAsCompiled(file));
+    });
+
+    it('should explain rebuilds by the import chain from the changed file', function () {
+        tracker.queueRebuild(inBase('_grid.scss'));
+        assert.strictEqual(tracker.explain(inBase('main.scss')), 'explain/main.scss <- explain/_layout.scss <- explain/_grid.scss (changed)');
+        assert.deepStrictEqual(tracker.getTree().getInvalidationCause(inBase('_layout.scss')), {
+            origin: inBase('_grid.scss'),
+            path: [inBase('_grid.scss'), inBase('_layout.scss')],
+            reason: 'changed',
+        });
+    });
+
+    it('should explain files that are up to date or have not been compiled yet', function () {
+        assert.strictEqual(tracker.explain(inBase('main.scss')), 'explain/main.scss (up to date)');
+        assert.strictEqual(tracker.explain(inBase('new.scss')), 'explain/new.scss (not compiled yet)');
+    });
+
+    it('should keep the original cause when files are removed or compiled', function () {
+        tracker.removeFile(inBase('_grid.scss'));
+        assert.strictEqual(tracker.explain(inBase('main.scss')), 'explain/main.scss <- explain/_layout.scss <- explain/_grid.scss (removed)');
+
+        tracker.getTree().markAsCompiled(inBase('main.scss'));
+        assert.strictEqual(tracker.getTree().getInvalidationCause(inBase('main.scss')), null);
+    });
+
+    it('should pass the cause of a partial on to its entrypoints', function () {
+        let tree = tracker.getTree();
+        tree.markAsNotCompiled(inBase('_grid.scss'), 'changed');
+        tree.markAsCompiled(inBase('main.scss'));
+        tree.markAsNotCompiled(inBase('main.scss'), 'not compiled yet', inBase('_grid.scss'));
+        assert.strictEqual(tracker.explain(inBase('main.scss')), 'explain/main.scss <- explain/_layout.scss <- explain/_grid.scss (changed)');
+    });
+});
+
+describe('Logging', function () {
+    const logging = require('../src/logging');
+    const inspectWith = function (tracker, contents) {
+        let inspected = unrelated.clone();
+        inspected.contents = Buffer.from(contents);
+        return new Promise(function (resolve, reject) {
+            let stream = tracker.inspect(sassOptions);
+            stream.on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+            stream.write(inspected);
+            stream.end();
+        });
+    };
+
+    it('should write JSON lines from the configured level on', function () {
+        let lines = [];
+        let logger = logging.createLogger({logLevel: 'warn', logFormat: 'json'}, {write: line => lines.push(line)});
+        logger.info('Hidden', {event: 'test'});
+        logger.warn('Shown', {event: 'test', file: 'a.scss'});
+
+        assert.strictEqual(lines.length, 1);
+        let entry = JSON.parse(lines[0]);
+        assert.deepStrictEqual([entry.level, entry.message, entry.event, entry.file], ['warn', 'Shown', 'test', 'a.scss']);
+        assert.ok(lines[0].endsWith('\n'));
+    });
+
+    it('should let suppressOutput silence everything and reject unknown levels', function () {
+        let entries = [];
+        let logger = logging.createLogger({logger: entry => entries.push(entry), logLevel: 'debug', suppressOutput: true});
+        logger.error('Hidden');
+        assert.deepStrictEqual(entries, []);
+        assert.throws(() => logging.createLogger({logLevel: 'verbose'}), /^Error: Unknown log level: verbose/);
+    });
+
+    it('should pass structured fields to custom loggers', function () {
+        let warnings = [];
+        let tracker = new SassDepTracker({logger: {warn: (message, fields) => warnings.push(fields), log: () => {}}});
+        return inspectWith(tracker, '@use "missing";').then(() => {
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].event, 'import-unresolved');
+            assert.strictEqual(warnings[0].file, path.normalize(unrelated.path));
+            assert.strictEqual(warnings[0].import, 'missing');
+            assert.deepStrictEqual([warnings[0].line, warnings[0].column], [1, 6]);
+            assert.deepStrictEqual(warnings[0].includePaths, [commonBase]);
+        });
+    });
+
+    it('should pass debug messages to logger functions', function () {
+        let entries = [];
+        let tracker = new SassDepTracker({logger: entry => entries.push(entry), logLevel: 'debug'});
+        return inspectWith(tracker, '@import "child";').then(() => {
+            let found = entries.filter(entry => entry.event === 'import-found');
+            assert.deepStrictEqual(found.map(entry => [entry.level, entry.import, entry.rule]), [['debug', 'child', 'import']]);
+            assert.ok(entries.some(entry => entry.event === 'dependency-added' && entry.dependency === childPath));
+        });
+    });
+});
+
+describe('Asset-Dependencies', function () {
+    const posixPath = require('path').posix;
+    const {directory, inDirectory} = withFixture('assets', {
+        'main.scss': '@use "sass:meta";\n@use "theme";\n.logo { background: url("images/logo.svg?v=2"), url(https://example.com/a.png); }',
+        '_theme.scss': '@use "sass:meta";\n$tokens: "tokens.json";\n.dark { @include meta.load-css("dark"); }',
+        '_dark.scss': '',
+        'tokens.json': '{}',
+        'images/logo.svg': '<svg/>',
+    });
+    const extractors = [
+        {name: 'url', pattern: /url\(\s*['"]?([^'")]+)/},
+        {name: 'tokens', extract: contents => (contents.match(/[\w-]+\.json/g) || [])},
+    ];
+    const inspectAll = function (tracker) {
+        return tracker.scan(directory, {});
+    };
+
+    it('should track stylesheets loaded by meta.load-css()', function () {
+        let tracker = new SassDepTracker({suppressOutput: true});
+        return inspectAll(tracker).then(() => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('_theme.scss')), [inDirectory('_dark.scss')]);
+        });
+    });
+
+    it('should track the files found by extractors and skip external urls', function () {
+        let tracker = new SassDepTracker({suppressOutput: true, extractors});
+        return inspectAll(tracker).then(() => {
+            let tree = tracker.getTree();
+            assert.deepStrictEqual(tree.getDependencies(inDirectory('main.scss')), [inDirectory('_theme.scss'), inDirectory('images/logo.svg')]);
+            assert.deepStrictEqual(tree.getDependencies(inDirectory('_theme.scss')), [inDirectory('_dark.scss'), inDirectory('tokens.json')]);
+            assert.deepStrictEqual(tree.getUnresolved(), []);
+        });
+    });
+
+    it('should rebuild the consumers of a changed data file', function () {
+        let tracker = new SassDepTracker({suppressOutput: true, extractors});
+        return inspectAll(tracker).then(() => {
+            tracker.getTree().getFiles().forEach(file => tracker.getTree().markAsCompiled(file));
+            tracker.queueRebuild(inDirectory('tokens.json'));
+            let chain = ['main.scss', '_theme.scss', 'tokens.json'].map(file => posixPath.relative(path.normalize(process.cwd()), inDirectory(file)));
+            assert.strictEqual(tracker.explain(inDirectory('main.scss')), `${chain.join(' <- ')} (changed)`);
+        });
+    });
+
+    it('should use custom resolvers and reject invalid extractors', function () {
+        let tracker = new SassDepTracker({
+            suppressOutput: true,
+            extractors: [{name: 'tokens', pattern: /"(\w+)\.json"/, resolve: url => inDirectory(`${url}.json`)}],
+        });
+        return inspectAll(tracker).then(() => {
+            assert.ok(tracker.getTree().getDependencies(inDirectory('_theme.scss')).includes(inDirectory('tokens.json')));
+            assert.throws(() => new SassDepTracker({extractors: [{name: 'use', pattern: /a/}]}), /unique name/);
+            assert.throws(() => new SassDepTracker({extractors: [{name: 'data'}]}), /pattern or an extract function/);
+        });
+    });
+});
+
+describe('Compile-Failures', function () {
+    const streamFiles = function (stream, files) {
+        return new Promise(function (resolve, reject) {
+            let passed = [];
+            stream.on('data', file => passed.push(file.path)).on('end', () => resolve(passed)).on('error', reject);
+            files.forEach(file => stream.write(file.clone()));
+            stream.end();
+        });
+    };
+    let tracker;
+
+    beforeEach(function () {
+        tracker = new SassDepTracker({suppressOutput: true});
+        tracker.getTree().addDependency(parent, child);
+        [parent, child].forEach(file => tracker.getTree().markAsCompiled(file));
+    });
+
+    it('should record failures and pass the error on to the handler', function () {
+        let stream = new EventEmitter();
+        let handled = [];
+        let listener = tracker.reportFailed(function (error) {
+            handled.push([this, error.message]);
+        });
+
+        listener.call(stream, {file: parent.path, message: 'parent.scss 1:1 Undefined variable.', messageOriginal: 'Undefined variable.'});
+        listener.call(stream, {file: 'stdin', message: 'Invalid CSS'});
+
+        assert.deepStrictEqual(tracker.getFailures(), [{file: parent.path, message: 'Undefined variable.'}]);
+        assert.deepStrictEqual(handled, [[stream, 'parent.scss 1:1 Undefined variable.'], [stream, 'Invalid CSS']]);
+        assert.strictEqual(tracker.explain(parent), 'sass/parent.scss (compilation failed)');
+    });
+
+    it('should keep failed files in the filter output until they compile', function () {
+        tracker.reportFailed()({file: parent.path, message: 'Undefined variable.'});
+
+        return streamFiles(tracker.filter(), [parent, child]).then(passed => {
+            assert.deepStrictEqual(passed, [parent.path]);
+            assert.strictEqual(tracker.getTree().isCompiled(child), true);
+            return streamFiles(tracker.reportCompiled(), [parent]);
+        }).then(() => {
+            assert.deepStrictEqual(tracker.getFailures(), []);
+            assert.strictEqual(tracker.getTree().isCompiled(parent), true);
+        });
+    });
+
+    it('should clear failures of partials once a file using them compiles', function () {
+        tracker.reportFailed()({fileName: child.path, message: 'Undefined mixin.'});
+        assert.strictEqual(tracker.getTree().getFailure(child), 'Undefined mixin.');
+        assert.strictEqual(tracker.getTree().isCompiled(parent), true, 'Dependents are not invalidated by a failure');
+
+        let state = tracker.getTree().exportState();
+        let restored = new SassDepTracker({suppressOutput: true});
+        restored.getTree().importState(state);
+        assert.deepStrictEqual(restored.getFailures(), tracker.getFailures());
+
+        return streamFiles(tracker.reportCompiled(), [parent]).then(() => {
+            assert.strictEqual(tracker.getTree().getFailure(child), null);
+        });
+    });
+});
+
+describe('Compiler-Verification', function () {
+    const partial = path.resolve('./sass/_partial.scss');
+    const compile = function (tracker, properties) {
+        let compiled = child.clone();
+        compiled.path = compiled.path.replace(/\.scss$/, '.css');
+        Object.assign(compiled, properties);
+        return new Promise(function (resolve, reject) {
+            let stream = tracker.reportCompiled({verify: true});
+            stream.on('data', () => {}).on('end', resolve).on('error', reject);
+            stream.write(compiled);
+            stream.end();
+        });
+    };
+    let tracker;
+    let mismatches;
+
+    beforeEach(function () {
+        tracker = new SassDepTracker({suppressOutput: true});
+        tracker.getTree().addDependency(child, parent);
+        mismatches = [];
+        tracker.on('dependency-mismatch', mismatch => mismatches.push(mismatch));
+    });
+
+    it('should add missed dependencies and flag phantom ones from the loaded urls', function () {
+        return compile(tracker, {loadedUrls: [child.path, partial].map(filePath => `file://${filePath}`)}).then(() => {
+            assert.deepStrictEqual(mismatches, [{file: child.path, missing: [partial], phantom: [parent.path], source: 'loadedUrls'}]);
+            assert.deepStrictEqual(tracker.getTree().getDependencyOrigins(child, partial), ['compiler']);
+            assert.strictEqual(tracker.getTree().isCompiled(child), true);
+        });
+    });
+
+    it('should not flag phantom dependencies from sourcemaps and report missed files once', function () {
+        let sourceMap = {sources: ['child.scss', '_partial.scss', 'stdin']};
+        return compile(tracker, {sourceMap}).then(() => compile(tracker, {sourceMap})).then(() => {
+            assert.deepStrictEqual(mismatches, [{file: child.path, missing: [partial], phantom: [], source: 'sourceMap'}]);
+            assert.deepStrictEqual(tracker.getTree().getDependencies(child), [parent.path, partial]);
+        });
+    });
+
+    it('should drop dependencies added for files the compiler no longer loads', function () {
+        return compile(tracker, {stats: {includedFiles: [child.path, partial]}}).then(() => {
+            return compile(tracker, {stats: {includedFiles: [child.path, parent.path]}});
+        }).then(() => {
+            assert.deepStrictEqual(tracker.getTree().getDependencies(child), [parent.path]);
+            assert.deepStrictEqual(mismatches.map(mismatch => mismatch.phantom), [[parent.path]]);
+        });
+    });
+});
+
+describe('Dynamic-Imports', function () {
+    const posixPath = require('path').posix;
+    const {directory, inDirectory} = withFixture('dynamic', {
+        'main.scss': '// @sass-deps: themes/*.scss\n$theme: dark !default;\n@import "themes/#{$theme}";',
+        'plain.scss': '@use "sass:meta";\n@include meta.load-css($url);',
+        'themes/_dark.scss': '',
+        'themes/_light.scss': '',
+    });
+    const added = inDirectory('themes/_contrast.scss');
+    let tracker;
+    let warnings;
+
+    beforeEach(function () {
+        warnings = [];
+        tracker = new SassDepTracker({logger: entry => entry.level === 'warn' && warnings.push(entry)});
+        return tracker.scan(directory, {});
+    });
+
+    it('should report dynamic imports instead of failing to resolve them', function () {
+        let tree = tracker.getTree();
+        assert.deepStrictEqual(tree.getDynamicImports(inDirectory('main.scss')), [
+            {file: inDirectory('main.scss'), url: 'themes/#{$theme}', rule: 'import', line: 3, column: 9, origin: 'inspect'},
+        ]);
+        assert.deepStrictEqual(tree.getUnresolved(), []);
+        assert.deepStrictEqual(warnings.map(entry => [entry.event, entry.file, entry.import]), [['import-dynamic', inDirectory('plain.scss'), '$url']]);
+    });
+
+    it('should track the files declared by @sass-deps comments', function () {
+        assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('main.scss')), [inDirectory('themes/_dark.scss'), inDirectory('themes/_light.scss')]);
+        assert.deepStrictEqual(tracker.getTree().getGlobDependencies().map(glob => [glob.file, glob.pattern, glob.origin]), [
+            [inDirectory('main.scss'), inDirectory('themes/*.scss'), 'inspect'],
+        ]);
+    });
+
+    it('should add new files matching a glob and rebuild the files declaring it', function () {
+        tracker.getTree().getFiles().forEach(file => tracker.getTree().markAsCompiled(file));
+        fs.writeFileSync(added, '');
+
+        let watcher = tracker.attach(new EventEmitter());
+        watcher.emit('add', added);
+        assert.ok(tracker.getTree().getDependencies(inDirectory('main.scss')).includes(added));
+        let chain = [inDirectory('main.scss'), added].map(file => posixPath.relative(path.normalize(process.cwd()), file));
+        assert.strictEqual(tracker.explain(inDirectory('main.scss')), `${chain.join(' <- ')} (added)`);
+
+        watcher.emit('unlink', added);
+        assert.ok(!tracker.getTree().getDependencies(inDirectory('main.scss')).includes(added));
+        assert.deepStrictEqual(tracker.getTree().getUnresolved(), []);
+    });
+
+    it('should register declared globs reported manually', function () {
+        let manualTracker = new SassDepTracker({suppressOutput: true});
+        let file = new Vinyl({path: inDirectory('plain.scss')});
+        manualTracker.reportImport('// @sass-deps: themes/_d*.scss', file, {});
+        assert.deepStrictEqual(manualTracker.getTree().getDependencies(file), [inDirectory('themes/_dark.scss')]);
+        assert.deepStrictEqual(manualTracker.getTree().getGlobDependencies(file).map(glob => [glob.url, glob.origin]), [['themes/_d*.scss', 'manual']]);
+    });
+});
+
+describe('Glob-Imports', function () {
+    const {inDirectory} = withFixture('globs', {
+        'main.scss': '@import "components/**/*";\n@import "vendor/*.scss";',
+        'components/_button.scss': '',
+        'components/notes.md': '',
+        'components/forms/_input.scss': '',
+        'lib/vendor/_grid.scss': '',
+    });
+    const sassOptions = {loadPaths: [inDirectory('lib')]};
+    const added = ['components/_card.scss', 'components/todo.txt'].map(inDirectory);
+    let tracker;
+
+    beforeEach(function () {
+        tracker = new SassDepTracker({suppressOutput: true});
+        return tracker.scan(inDirectory('main.scss'), sassOptions);
+    });
+
+    it('should expand glob imports relative to the file and the load paths', function () {
+        assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('main.scss')), [
+            inDirectory('components/_button.scss'),
+            inDirectory('components/forms/_input.scss'),
+            inDirectory('lib/vendor/_grid.scss'),
+        ]);
+        assert.deepStrictEqual(tracker.getTree().getUnresolved(), []);
+    });
+
+    it('should rebuild the importer when a matching file is added', function () {
+        tracker.getTree().getFiles().forEach(file => tracker.getTree().markAsCompiled(file));
+        added.forEach(file => fs.writeFileSync(file, ''));
+
+        let watcher = tracker.attach(new EventEmitter(), {sassOptions});
+        added.forEach(file => watcher.emit('add', file));
+        assert.deepStrictEqual(tracker.getTree().getDependents(added[0]), [inDirectory('main.scss')]);
+        assert.deepStrictEqual(tracker.getTree().getDependents(added[1]), []);
+        assert.strictEqual(tracker.getTree().isCompiled(inDirectory('main.scss')), false);
+
+        added.forEach(file => fs.unlinkSync(file));
+        added.forEach(file => watcher.emit('unlink', file));
+        assert.deepStrictEqual(tracker.getTree().getUnresolved(), []);
+    });
+
+    it('should expand glob imports reported manually', function () {
+        let manualTracker = new SassDepTracker({suppressOutput: true});
+        let file = new Vinyl({path: inDirectory('main.scss')});
+        manualTracker.reportImport(`@import 'components/*';`, file, sassOptions);
+        assert.deepStrictEqual(manualTracker.getTree().getDependencies(file), [inDirectory('components/_button.scss')]);
+        assert.deepStrictEqual(manualTracker.getTree().getGlobDependencies(file).map(glob => glob.pattern), [
+            inDirectory('components/*.{scss,sass,css}'),
+            inDirectory('lib/components/*.{scss,sass,css}'),
+        ]);
+    });
+});
+
+describe('Languages', function () {
+    const {directory, inDirectory} = withFixture('languages', {
+        'main.less': '// @import "commented";\n@import (reference) "mixins";\n@import (css) "print";\n@import "reset.css";\n'
+            + '@import "@{theme}/colors";\n@import "variables.less";\n.a { color: red; }',
+        'mixins.less': '@import (optional, less) "legacy.css";',
+        'legacy.css': '',
+        'variables.less': '',
+        'shared/_tokens.less': '',
+        'app.styl': '@import "nib"\n@require "partials"\n@import "themes/" + theme\n/* @require "commented" */\n@import mixins/* // All of them\nbody\n  color red',
+        'mixins/buttons.styl': '',
+        'mixins/forms.styl': '',
+        'partials/index.styl': '@import "../settings"',
+        'settings.styl': '',
+        'page.scss': '@use "settings";',
+        '_settings.scss': '',
+    });
+    const options = {paths: [inDirectory('shared')]};
+    let tracker;
+
+    beforeEach(function () {
+        tracker = new SassDepTracker({suppressOutput: true, languages: ['sass', 'less', 'stylus']});
+        return tracker.scan(directory, options);
+    });
+
+    it('should track the imports of Less files', function () {
+        assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('main.less'), true), [
+            inDirectory('mixins.less'),
+            inDirectory('legacy.css'),
+            inDirectory('variables.less'),
+        ]);
+        assert.deepStrictEqual(tracker.getTree().getDynamicImports(inDirectory('main.less')).map(dynamic => dynamic.url), ['@{theme}/colors']);
+    });
+
+    it('should track the imports and requires of Stylus files', function () {
+        assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('app.styl'), true), [
+            inDirectory('partials/index.styl'),
+            inDirectory('settings.styl'),
+            inDirectory('mixins/buttons.styl'),
+            inDirectory('mixins/forms.styl'),
+        ]);
+        assert.deepStrictEqual(tracker.getTree().getGlobDependencies(inDirectory('app.styl')).map(glob => glob.pattern), [
+            inDirectory('mixins/*.styl'),
+            inDirectory('shared/mixins/*.styl'),
+        ]);
+        assert.deepStrictEqual(tracker.getTree().getUnresolved().map(unresolved => unresolved.url), ['nib']);
+        assert.deepStrictEqual(tracker.getTree().getDynamicImports(inDirectory('app.styl')).map(dynamic => dynamic.url), ['"themes/" + theme']);
+    });
+
+    it('should keep tracking sass files along with the other languages', function () {
+        assert.deepStrictEqual(tracker.getTree().getDependencies(inDirectory('page.scss')), [inDirectory('_settings.scss')]);
+        assert.strictEqual(tracker.isEntrypoint(inDirectory('shared/_tokens.less')), false);
+        assert.strictEqual(tracker.isEntrypoint(inDirectory('main.less')), true);
+    });
+
+    it('should resolve Less imports against the paths option', function () {
+        let file = new Vinyl({path: inDirectory('main.less')});
+        tracker.reportImport('@import (reference) "_tokens";', file, options);
+        assert.ok(tracker.getTree().getDependencies(file).includes(inDirectory('shared/_tokens.less')));
+    });
+
+    it('should only track sass files by default', function () {
+        let sassTracker = new SassDepTracker({suppressOutput: true});
+        return sassTracker.scan(directory, options).then(scannedFiles => {
+            assert.deepStrictEqual(scannedFiles, [inDirectory('_settings.scss'), inDirectory('page.scss')]);
+        });
+    });
+
+    it('should reject unknown languages', function () {
+        assert.throws(() => new SassDepTracker({languages: ['sass', 'postcss']}), /Unknown language: postcss/);
+    });
+});